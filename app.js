@@ -85,6 +85,510 @@ const { useState, useEffect, useRef, useMemo, useCallback, createElement: h } =
             return throttledCallback;
         };
 
+        // Windowed rendering for long lists laid out in equal-height rows (a CSS grid or a single column).
+        // Only rows near the viewport are mounted; padding on the container stands in for the rest.
+        // Items must therefore have a fixed height in CSS (see "Windowed gallery" in style.css). Until a row
+        // has been measured (or where there is no layout at all) every item is rendered; the same goes for
+        // items that turn out not to share one height, which is reported once as a warning because it
+        // switches windowing off.
+        const useWindowedRows = ({ itemCount, layoutKey, overscan = 2 }) => {
+            const containerRef = useRef(null);
+            const pendingFocusRef = useRef(null);
+            const warnedRef = useRef(false);
+            const [layout, setLayout] = useState({ columns: 1, rowHeight: 0, gap: 0 });
+            const [rows, setRows] = useState({ start: 0, end: 0 });
+
+            const measure = useCallback(() => {
+                const container = containerRef.current;
+                if (!container || !container.firstElementChild) return;
+                const style = window.getComputedStyle(container);
+                const columns =
+                    style.display === "grid" ? Math.max(1, style.gridTemplateColumns.split(" ").filter(Boolean).length) : 1;
+                const rowHeight = container.firstElementChild.offsetHeight;
+                const uniform = Array.from(container.children).every((child) => Math.abs(child.offsetHeight - rowHeight) < 1);
+                if (!uniform && !warnedRef.current) {
+                    warnedRef.current = true;
+                    console.warn("Windowed rows differ in height, so every item is rendered. Give the items a fixed height.");
+                }
+                const next = {
+                    columns,
+                    rowHeight: uniform ? rowHeight : 0,
+                    gap: parseFloat(style.rowGap) || 0,
+                };
+                setLayout((prev) =>
+                    prev.columns === next.columns && prev.rowHeight === next.rowHeight && prev.gap === next.gap ? prev : next,
+                );
+            }, []);
+
+            const updateRows = useCallback(() => {
+                const container = containerRef.current;
+                if (!container || !layout.rowHeight) return;
+                const stride = layout.rowHeight + layout.gap;
+                const top = container.getBoundingClientRect().top;
+                const totalRows = Math.ceil(itemCount / layout.columns);
+                const start = Math.min(totalRows, Math.max(0, Math.floor(-top / stride) - overscan));
+                const end = Math.min(totalRows, Math.max(start, Math.ceil((window.innerHeight - top) / stride) + overscan));
+                setRows((prev) => (prev.start === start && prev.end === end ? prev : { start, end }));
+            }, [layout, itemCount, overscan]);
+
+            useEffect(() => {
+                measure();
+            }, [measure, layoutKey, itemCount > 0]);
+
+            useEffect(() => {
+                updateRows();
+                let frame = null;
+                const schedule = () => {
+                    if (frame !== null) return;
+                    frame = window.requestAnimationFrame(() => {
+                        frame = null;
+                        measure();
+                        updateRows();
+                    });
+                };
+                window.addEventListener("scroll", schedule, { passive: true });
+                window.addEventListener("resize", schedule);
+                return () => {
+                    window.removeEventListener("scroll", schedule);
+                    window.removeEventListener("resize", schedule);
+                    if (frame !== null) window.cancelAnimationFrame(frame);
+                };
+            }, [measure, updateRows]);
+
+            // Focus requested for an item that was not mounted yet lands once it is
+            useEffect(() => {
+                if (pendingFocusRef.current === null || !containerRef.current) return;
+                const element = containerRef.current.querySelector(`[data-index="${pendingFocusRef.current}"]`);
+                if (element) {
+                    pendingFocusRef.current = null;
+                    element.focus({ preventScroll: true });
+                }
+            });
+
+            const focusIndex = (index) => {
+                const container = containerRef.current;
+                pendingFocusRef.current = index;
+                if (container && layout.rowHeight) {
+                    const stride = layout.rowHeight + layout.gap;
+                    const rowTop = container.getBoundingClientRect().top + Math.floor(index / layout.columns) * stride;
+                    if (rowTop < 0 || rowTop + layout.rowHeight > window.innerHeight) {
+                        window.scrollTo({ top: window.scrollY + rowTop - (window.innerHeight - layout.rowHeight) / 2 });
+                    }
+                }
+                updateRows();
+            };
+
+            if (!layout.rowHeight) {
+                return { containerRef, columns: layout.columns, startIndex: 0, endIndex: itemCount, paddingTop: 0, paddingBottom: 0, focusIndex };
+            }
+
+            const stride = layout.rowHeight + layout.gap;
+            const totalRows = Math.ceil(itemCount / layout.columns);
+            const end = Math.min(rows.end, totalRows);
+            const start = Math.min(rows.start, end);
+            return {
+                containerRef,
+                columns: layout.columns,
+                startIndex: start * layout.columns,
+                endIndex: Math.min(itemCount, end * layout.columns),
+                paddingTop: start * stride,
+                paddingBottom: Math.max(0, (totalRows - end) * stride),
+                focusIndex,
+            };
+        };
+
+        // Local storage helpers (storage can be unavailable in private mode)
+        const readStoredJson = (key, fallback) => {
+            try {
+                const raw = window.localStorage.getItem(key);
+                return raw ? JSON.parse(raw) : fallback;
+            } catch (error) {
+                console.warn(`Could not read ${key} from storage:`, error);
+                return fallback;
+            }
+        };
+
+        const writeStoredJson = (key, value) => {
+            try {
+                window.localStorage.setItem(key, JSON.stringify(value));
+            } catch (error) {
+                console.warn(`Could not write ${key} to storage:`, error);
+            }
+        };
+
+        // Saves a blob under `filename` through a temporary link
+        const downloadBlob = (blob, filename) => {
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        };
+
+        const downloadJson = (data, filename) =>
+            downloadBlob(new Blob([JSON.stringify(data, null, 4)], { type: "application/json" }), filename);
+
+        const createId = () =>
+            window.crypto && window.crypto.randomUUID
+                ? window.crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+        // Hash router
+        // Routes look like #section/segment?key=value, e.g. #timeline/renaissance,
+        // #gallery?category=Sculpture&q=van or #digital/fashion. Each section reads the part it owns
+        // with useRoute() and writes it back with navigate(), so reloads and back/forward restore it.
+        const parseRoute = (hash) => {
+            const [path, query = ""] = hash.replace(/^#\/?/, "").split("?");
+            const [section = "", ...segments] = path.split("/").filter(Boolean).map(decodeURIComponent);
+            return { hash, section, segments, params: Object.fromEntries(new URLSearchParams(query)) };
+        };
+
+        const buildRoute = ({ section, segments = [], params = {} }) => {
+            const path = [section, ...segments].map((part) => encodeURIComponent(part)).join("/");
+            const query = new URLSearchParams(
+                Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== ""),
+            ).toString();
+            return `#${path}${query ? `?${query}` : ""}`;
+        };
+
+        const routeListeners = new Set();
+        let currentRoute = parseRoute(window.location.hash);
+
+        // `source` is "history" for back/forward and edited URLs, "navigate" for in-app changes
+        const updateRoute = (source) => {
+            if (window.location.hash === currentRoute.hash) return;
+            const previous = currentRoute;
+            currentRoute = parseRoute(window.location.hash);
+            routeListeners.forEach((listener) => listener(currentRoute, { previous, source }));
+        };
+
+        // Back/forward fires both events for hash entries; updateRoute ignores the repeat
+        window.addEventListener("popstate", () => updateRoute("history"));
+        window.addEventListener("hashchange", () => updateRoute("history"));
+
+        // Pushes a history entry by default; `replace` suits high-frequency updates such as typing
+        const navigate = (route, { replace = false } = {}) => {
+            const hash = typeof route === "string" ? route : buildRoute(route);
+            if (hash === window.location.hash) return;
+            window.history[replace ? "replaceState" : "pushState"](null, "", hash);
+            updateRoute("navigate");
+        };
+
+        const subscribeRoute = (listener) => {
+            routeListeners.add(listener);
+            return () => routeListeners.delete(listener);
+        };
+
+        const useRoute = () => {
+            const [route, setRoute] = useState(currentRoute);
+
+            useEffect(() => {
+                setRoute(currentRoute);
+                return subscribeRoute(setRoute);
+            }, []);
+
+            return route;
+        };
+
+        const scrollToRouteSection = (route) => {
+            const element = route.section && document.getElementById(route.section);
+            if (element) element.scrollIntoView({ behavior: "smooth", block: "start" });
+        };
+
+        // Content loading
+        // Collections live in versioned JSON files ({ "version": 1, "items": [...] }) and are checked
+        // against these schemas before any component sees them. Rules: "string", "number", "url",
+        // "string[]", a trailing "?" for optional fields, or a nested object of rules.
+        const CONTENT_VERSION = 1;
+
+        const contentCollections = {
+            timeline: {
+                file: "content/timeline.json",
+                item: {
+                    id: "string",
+                    era: "string",
+                    period: "string",
+                    title: "string",
+                    description: "string",
+                    image: "url",
+                    stylePreset: { name: "string", prompt: "string", negativePrompt: "string?" },
+                },
+            },
+            artworks: {
+                file: "content/artworks.json",
+                item: {
+                    id: "number",
+                    title: "string",
+                    artist: "string",
+                    period: "string",
+                    year: "number?",
+                    category: "string",
+                    image: "url",
+                    description: "string",
+                },
+            },
+            fashionEras: {
+                file: "content/fashion-eras.json",
+                item: {
+                    id: "string",
+                    era: "string",
+                    period: "string",
+                    description: "string",
+                    image: "url",
+                    keyFeatures: "string[]",
+                    modernInfluence: "string",
+                },
+            },
+            aiArtworks: {
+                file: "content/ai-artworks.json",
+                item: {
+                    id: "number",
+                    title: "string",
+                    style: "string",
+                    prompt: "string",
+                    image: "url",
+                    algorithm: "string",
+                    likes: "number",
+                },
+            },
+            fashionDesigns: {
+                file: "content/fashion-designs.json",
+                item: {
+                    id: "number",
+                    title: "string",
+                    description: "string",
+                    image: "url",
+                    materials: "string[]",
+                    features: "string[]",
+                },
+            },
+            artPrompts: { file: "content/art-prompts.json", item: "string" },
+            fashionPrompts: { file: "content/fashion-prompts.json", item: "string" },
+        };
+
+        const checkContentValue = (value, rule, path, errors) => {
+            if (typeof rule === "object") {
+                if (!value || typeof value !== "object" || Array.isArray(value)) {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+                Object.entries(rule).forEach(([key, fieldRule]) => checkContentValue(value[key], fieldRule, `${path}.${key}`, errors));
+                return;
+            }
+
+            const optional = rule.endsWith("?");
+            const type = optional ? rule.slice(0, -1) : rule;
+            if (value === undefined || value === null || value === "") {
+                if (!optional) errors.push(`${path} is required`);
+                return;
+            }
+
+            switch (type) {
+                case "number":
+                    if (typeof value !== "number" || !Number.isFinite(value)) errors.push(`${path} must be a number`);
+                    break;
+                case "string[]":
+                    if (!Array.isArray(value) || !value.every((entry) => typeof entry === "string" && entry.trim())) {
+                        errors.push(`${path} must be a list of non-empty strings`);
+                    }
+                    break;
+                case "url":
+                    try {
+                        if (typeof value !== "string") throw new TypeError("not a string");
+                        new URL(value, document.baseURI);
+                    } catch (error) {
+                        errors.push(`${path} must be a valid URL`);
+                    }
+                    break;
+                default:
+                    if (typeof value !== "string" || !value.trim()) errors.push(`${path} must be a non-empty string`);
+            }
+        };
+
+        const validateContentItems = (collection, items) => {
+            const errors = [];
+            const seenIds = new Set();
+            items.forEach((item, index) => {
+                checkContentValue(item, collection.item, `items[${index}]`, errors);
+                if (item && item.id !== undefined) {
+                    if (seenIds.has(item.id)) errors.push(`items[${index}].id "${item.id}" is used more than once`);
+                    seenIds.add(item.id);
+                }
+            });
+            return errors;
+        };
+
+        const createContentError = (file, message, details = []) => {
+            const error = new Error(message);
+            error.name = "ContentError";
+            error.file = file;
+            error.details = details;
+            return error;
+        };
+
+        // Checks a parsed { version, items } document; `source` names the file in error messages
+        const parseContentDocument = (collection, data, source) => {
+            if (!data || data.version !== CONTENT_VERSION) {
+                throw createContentError(
+                    source,
+                    `${source} has content version ${data && data.version}, expected ${CONTENT_VERSION}`,
+                );
+            }
+            if (!Array.isArray(data.items)) {
+                throw createContentError(source, `${source} must contain an "items" list`);
+            }
+
+            const errors = validateContentItems(collection, data.items);
+            if (errors.length) {
+                throw createContentError(source, `${source} failed validation`, errors);
+            }
+            return data.items;
+        };
+
+        const fetchContent = async (name) => {
+            const collection = contentCollections[name];
+            let response;
+            try {
+                response = await fetch(collection.file);
+            } catch (error) {
+                throw createContentError(collection.file, `Could not download ${collection.file}`);
+            }
+            if (!response.ok) {
+                throw createContentError(collection.file, `${collection.file} responded with ${response.status}`);
+            }
+
+            let data;
+            try {
+                data = await response.json();
+            } catch (error) {
+                throw createContentError(collection.file, `${collection.file} is not valid JSON`);
+            }
+            return parseContentDocument(collection, data, collection.file);
+        };
+
+        // One request per collection; failed loads are forgotten so they can be retried
+        const contentRequests = new Map();
+        const loadedContent = new Map();
+
+        const loadContent = (name) => {
+            if (!contentRequests.has(name)) {
+                const request = fetchContent(name).then(
+                    (items) => {
+                        loadedContent.set(name, items);
+                        return items;
+                    },
+                    (error) => {
+                        contentRequests.delete(name);
+                        throw error;
+                    },
+                );
+                contentRequests.set(name, request);
+            }
+            return contentRequests.get(name);
+        };
+
+        // Local edits from the content editor replace a published collection until they are reset
+        const CONTENT_OVERRIDES_KEY = "pictalens:content-overrides";
+        const contentOverrideListeners = new Set();
+
+        const getContentOverride = (name) => readStoredJson(CONTENT_OVERRIDES_KEY, {})[name] || null;
+
+        const setContentOverride = (name, items) => {
+            const overrides = readStoredJson(CONTENT_OVERRIDES_KEY, {});
+            if (items) {
+                overrides[name] = items;
+            } else {
+                delete overrides[name];
+            }
+            writeStoredJson(CONTENT_OVERRIDES_KEY, overrides);
+            contentOverrideListeners.forEach((listener) => listener(name));
+        };
+
+        const subscribeContentOverrides = (listener) => {
+            contentOverrideListeners.add(listener);
+            return () => contentOverrideListeners.delete(listener);
+        };
+
+        const initialContentState = (name) =>
+            loadedContent.has(name)
+                ? { name, status: "ready", items: loadedContent.get(name), error: null }
+                : { name, status: "loading", items: [], error: null };
+
+        const useContent = (name) => {
+            const [state, setState] = useState(() => initialContentState(name));
+            const [attempt, setAttempt] = useState(0);
+            const [overrideVersion, setOverrideVersion] = useState(0);
+
+            useEffect(() => {
+                let active = true;
+                setState(initialContentState(name));
+                loadContent(name).then(
+                    (items) => active && setState({ name, status: "ready", items, error: null }),
+                    (error) => {
+                        console.error(`Could not load ${name} content:`, error, error.details);
+                        if (active) setState({ name, status: "error", items: [], error });
+                    },
+                );
+                return () => {
+                    active = false;
+                };
+            }, [name, attempt]);
+
+            useEffect(
+                () =>
+                    subscribeContentOverrides((changed) => {
+                        if (changed === name) setOverrideVersion((version) => version + 1);
+                    }),
+                [name],
+            );
+
+            const override = useMemo(() => getContentOverride(name), [name, overrideVersion]);
+            const reload = useCallback(() => setAttempt((count) => count + 1), []);
+
+            if (override) {
+                return { status: "ready", items: override, error: null, isCustomized: true, reload };
+            }
+            // State still belongs to the previous collection for the render right after `name` changes
+            const { status, items, error } = state.name === name ? state : initialContentState(name);
+            return { status, items, error, isCustomized: false, reload };
+        };
+
+        // Loading, error and empty placeholder shared by every content-driven section
+        const ContentState = ({ content, emptyMessage }) => {
+            if (content.status === "loading") {
+                return h(
+                    "div",
+                    { className: "content-state", role: "status" },
+                    h("div", { className: "spinner", style: { width: "2.5rem", height: "2.5rem" } }),
+                    h("p", null, "Loading..."),
+                );
+            }
+
+            if (content.status === "error") {
+                return h(
+                    "div",
+                    { className: "content-state content-state-error", role: "alert" },
+                    h("p", null, content.error.message),
+                    content.error.details.length > 0 &&
+                        h(
+                            "ul",
+                            { className: "content-state-details" },
+                            content.error.details.slice(0, 5).map((detail) => h("li", { key: detail }, detail)),
+                            content.error.details.length > 5 &&
+                                h("li", null, `...and ${content.error.details.length - 5} more`),
+                        ),
+                    h("button", { type: "button", className: "action-btn", onClick: content.reload }, "Retry"),
+                );
+            }
+
+            return h("div", { className: "content-state" }, h("p", null, emptyMessage));
+        };
+
+        const isContentEmpty = (content) => content.status !== "ready" || content.items.length === 0;
+
         // Scroll Progress Indicator Component
         const ScrollProgress = () => {
             const [scrollProgress, setScrollProgress] = useState(0);
@@ -116,15 +620,20 @@ const { useState, useEffect, useRef, useMemo, useCallback, createElement: h } =
         };
 
         // Toast Notification Component
-        const ToastNotification = ({ isVisible, message, onClose, duration = 3000 }) => {
+        const ToastNotification = ({ isVisible, message, onClose, duration = 3000, variant = "success", action = null }) => {
+            // Callers pass a fresh onClose on every render; reading it through a ref keeps re-renders from
+            // restarting the timer, so only a new message does
+            const onCloseRef = useRef(onClose);
+            onCloseRef.current = onClose;
+
             useEffect(() => {
                 if (isVisible) {
                     const timer = setTimeout(() => {
-                        onClose();
+                        onCloseRef.current();
                     }, duration);
                     return () => clearTimeout(timer);
                 }
-            }, [isVisible, duration, onClose]);
+            }, [isVisible, duration, message]);
 
             if (!isVisible) return null;
 
@@ -140,7 +649,10 @@ const { useState, useEffect, useRef, useMemo, useCallback, createElement: h } =
                 },
                 h(
                     "div",
-                    { className: "toast-container" },
+                    {
+                        className: `toast-container ${variant === "error" ? "toast-error" : ""}`,
+                        role: variant === "error" ? "alert" : "status",
+                    },
                     h("div", { className: "toast-bg" }),
                     h(
                         "div",
@@ -148,37 +660,65 @@ const { useState, useEffect, useRef, useMemo, useCallback, createElement: h } =
                         h(
                             "div",
                             { className: "toast-icon" },
-                            h(
-                                "svg",
-                                {
-                                    width: "16",
-                                    height: "16",
-                                    viewBox: "0 0 24 24",
-                                    fill: "none",
-                                    stroke: "currentColor",
-                                    strokeWidth: "2",
-                                },
-                                h("polyline", { points: "20,6 9,17 4,12" }),
-                            ),
+                            variant === "error"
+                                ? h(
+                                      "svg",
+                                      {
+                                          width: "16",
+                                          height: "16",
+                                          viewBox: "0 0 24 24",
+                                          fill: "none",
+                                          stroke: "currentColor",
+                                          strokeWidth: "2",
+                                      },
+                                      h("line", { x1: "18", y1: "6", x2: "6", y2: "18" }),
+                                      h("line", { x1: "6", y1: "6", x2: "18", y2: "18" }),
+                                  )
+                                : h(
+                                      "svg",
+                                      {
+                                          width: "16",
+                                          height: "16",
+                                          viewBox: "0 0 24 24",
+                                          fill: "none",
+                                          stroke: "currentColor",
+                                          strokeWidth: "2",
+                                      },
+                                      h("polyline", { points: "20,6 9,17 4,12" }),
+                                  ),
                         ),
                         h("div", { className: "toast-message" }, message),
-                        h(
-                            "div",
-                            { className: "toast-copy-icon" },
+                        action &&
                             h(
-                                "svg",
+                                "button",
                                 {
-                                    width: "16",
-                                    height: "16",
-                                    viewBox: "0 0 24 24",
-                                    fill: "none",
-                                    stroke: "currentColor",
-                                    strokeWidth: "2",
+                                    type: "button",
+                                    className: "toast-action",
+                                    onClick: () => {
+                                        onClose();
+                                        action.onClick();
+                                    },
                                 },
-                                h("rect", { x: "9", y: "9", width: "13", height: "13", rx: "2", ry: "2" }),
-                                h("path", { d: "m5,15H4a2,2 0 0,1 -2,-2V4A2,2 0 0,1 4,2H13a2,2 0 0,1 2,2v1" }),
+                                action.label,
+                            ),
+                        !action &&
+                            h(
+                                "div",
+                                { className: "toast-copy-icon" },
+                                h(
+                                    "svg",
+                                    {
+                                        width: "16",
+                                        height: "16",
+                                        viewBox: "0 0 24 24",
+                                        fill: "none",
+                                        stroke: "currentColor",
+                                        strokeWidth: "2",
+                                    },
+                                    h("rect", { x: "9", y: "9", width: "13", height: "13", rx: "2", ry: "2" }),
+                                    h("path", { d: "m5,15H4a2,2 0 0,1 -2,-2V4A2,2 0 0,1 4,2H13a2,2 0 0,1 2,2v1" }),
+                                ),
                             ),
-                        ),
                     ),
                     h("div", {
                         className: "toast-progress",
@@ -202,7 +742,7 @@ const { useState, useEffect, useRef, useMemo, useCallback, createElement: h } =
                 setScrolled(window.scrollY > 50);
                 
                 // Update active section based on scroll position
-                const sections = ['hero', 'timeline', 'gallery', 'fashion', 'digital'];
+                const sections = ['hero', 'timeline', 'gallery', 'fashion', 'digital', 'collections'];
                 const currentSection = sections.find(section => {
                     const element = document.getElementById(section);
                     if (element) {
@@ -231,12 +771,14 @@ const { useState, useEffect, useRef, useMemo, useCallback, createElement: h } =
                 { name: "Art Gallery", href: "#gallery", icon: "🎨", ariaLabel: "Navigate to Art Gallery section" },
                 { name: "Fashion", href: "#fashion", icon: "👔", ariaLabel: "Navigate to Fashion section" },
                 { name: "Digital Art", href: "#digital", icon: "🤖", ariaLabel: "Navigate to Digital Art section" },
+                { name: "Collections", href: "#collections", icon: "⭐", ariaLabel: "Navigate to Collections section" },
             ];
 
             const scrollToSection = useCallback((href) => {
                 const element = document.querySelector(href);
                 if (element) {
                     element.scrollIntoView({ behavior: "smooth", block: "start" });
+                    navigate({ section: href.slice(1) });
                     // Announce to screen readers
                     const sectionName = href.replace('#', '');
                     const announcement = document.createElement('div');
@@ -548,60 +1090,24 @@ const { useState, useEffect, useRef, useMemo, useCallback, createElement: h } =
         };
 
         // Interactive Timeline Component
-        const InteractiveTimeline = () => {
+        const InteractiveTimeline = ({ onCreateInStyle }) => {
             const [selectedEra, setSelectedEra] = useState(0);
+            const timeline = useContent("timeline");
+            const timelineData = timeline.items;
+            const era = timelineData[Math.min(selectedEra, timelineData.length - 1)];
+            const route = useRoute();
 
-            const timelineData = [
-                {
-                    era: "Prehistoric",
-                    period: "40,000 BCE",
-                    title: "Cave Paintings",
-                    description: "The earliest known art forms, depicting animals and human figures on cave walls.",
-                    image: "https://ichef.bbci.co.uk/ace/standard/976/cpsprodpb/040A/production/_95243010_cavedavidstanley.jpg",
-                },
-                {
-                    era: "Ancient",
-                    period: "3000 BCE",
-                    title: "Egyptian Art",
-                    description: "Hieroglyphic art and monumental architecture defining ancient civilization.",
-                    image: "https://www.swanbazaar.com/pub/media/mageplaza/blog/post/c/o/cover_1_.jpg",
-                },
-                {
-                    era: "Classical",
-                    period: "500 BCE",
-                    title: "Greek & Roman",
-                    description: "Classical sculptures and architectural marvels that influenced Western art.",
-                    image: "https://images.saymedia-content.com/.image/t_share/MTc0NDg3NzY0NDIxNTg0NTE4/greek-influence-on-rome.jpg",
-                },
-                {
-                    era: "Medieval",
-                    period: "1000 CE",
-                    title: "Gothic Art",
-                    description: "Religious art and magnificent cathedrals reaching toward the heavens.",
-                    image: "https://englishispart.wordpress.com/wp-content/uploads/2015/01/milan-cathedral.jpg",
-                },
-                {
-                    era: "Renaissance",
-                    period: "1400 CE",
-                    title: "Artistic Revival",
-                    description: "The rebirth of classical learning and artistic innovation.",
-                    image: "https://usaartnews.com/wp-content/uploads/1-1-%D0%BA%D0%BE%D0%BF%D0%B8%D1%8F-%D0%BA%D0%BE%D0%BF%D0%B8%D1%8F-100.jpg",
-                },
-                {
-                    era: "Modern",
-                    period: "1900 CE",
-                    title: "Abstract Revolution",
-                    description: "Breaking traditional forms with abstract and experimental art.",
-                    image: "https://cdna.artstation.com/p/assets/images/images/017/554/534/large/acr-croart-d2900-559c9da2ac29ef23c136bd400abb86122f523588.jpg?1556469424",
-                },
-                {
-                    era: "Digital",
-                    period: "2020 CE",
-                    title: "AI Art",
-                    description: "Artificial intelligence creating new forms of artistic expression.",
-                    image: "https://image.pollinations.ai/prompt/Artificial%20intelligence%20creating%20new%20forms%20of%20artistic%20expression?height=576&nologo=true&model=flux",
-                },
-            ];
+            // #timeline/<era id> selects an era
+            useEffect(() => {
+                if (route.section !== "timeline" || !route.segments[0]) return;
+                const index = timelineData.findIndex((item) => item.id === route.segments[0]);
+                if (index !== -1) setSelectedEra(index);
+            }, [route, timelineData]);
+
+            const selectEra = (index) => {
+                setSelectedEra(index);
+                navigate({ section: "timeline", segments: [timelineData[index].id] });
+            };
 
             return h(
                 "section",
@@ -637,6 +1143,9 @@ const { useState, useEffect, useRef, useMemo, useCallback, createElement: h } =
                             "Explore the evolution of human creativity across millennia"
                         )
                     ),
+                    isContentEmpty(timeline) &&
+                        h(ContentState, { content: timeline, emptyMessage: "No timeline eras have been published yet." }),
+                    !isContentEmpty(timeline) &&
                     h(
                         "div",
                         { className: "timeline-nav" },
@@ -646,22 +1155,32 @@ const { useState, useEffect, useRef, useMemo, useCallback, createElement: h } =
                                 {
                                     key: index,
                                     className: `timeline-btn ${selectedEra === index ? "active" : ""}`,
-                                    onClick: () => setSelectedEra(index),
+                                    onClick: () => selectEra(index),
                                 },
                                 item.era
                             )
                         )
                     ),
+                    !isContentEmpty(timeline) &&
                     h(
                         "div",
                         { className: "timeline-content" },
                         h(
                             "div",
                             { className: "timeline-info animate-slideInLeft" },
-                            h("div", { className: "timeline-badge" }, timelineData[selectedEra].period),
-                            h("h3", { className: "timeline-title" }, timelineData[selectedEra].title),
-                            h("p", { className: "timeline-desc" }, timelineData[selectedEra].description),
-                            h("div", { className: "timeline-progress" })
+                            h("div", { className: "timeline-badge" }, era.period),
+                            h("h3", { className: "timeline-title" }, era.title),
+                            h("p", { className: "timeline-desc" }, era.description),
+                            h("div", { className: "timeline-progress" }),
+                            h(
+                                "button",
+                                {
+                                    type: "button",
+                                    className: "hero-button timeline-create-btn",
+                                    onClick: () => onCreateInStyle(era.id),
+                                },
+                                `Create in ${era.stylePreset.name} style`
+                            )
                         ),
                         h(
                             "div",
@@ -670,13 +1189,13 @@ const { useState, useEffect, useRef, useMemo, useCallback, createElement: h } =
                                 "div",
                                 { className: "timeline-card" },
                                 h("img", {
-                                    src: timelineData[selectedEra].image,
-                                    alt: timelineData[selectedEra].title,
+                                    src: era.image,
+                                    alt: era.title,
                                 }),
                                 h(
                                     "div",
                                     { className: "timeline-card-content" },
-                                    h("h4", { className: "timeline-card-title" }, `${timelineData[selectedEra].era} Era`),
+                                    h("h4", { className: "timeline-card-title" }, `${era.era} Era`),
                                     h(
                                         "p",
                                         { className: "timeline-card-desc" },
@@ -690,786 +1209,5398 @@ const { useState, useEffect, useRef, useMemo, useCallback, createElement: h } =
             );
         };
 
-        // Enhanced Art Gallery Component with Performance Optimizations
-        const ArtGallery = () => {
-            const [selectedCategory, setSelectedCategory] = useState("All");
-            const [viewMode, setViewMode] = useState("grid");
-            const [searchTerm, setSearchTerm] = useState("");
-            const [visibleItems, setVisibleItems] = useState(6);
-            const [isLoading, setIsLoading] = useState(false);
+        // Showcase likes
+        // Counts come from a storage adapter: { name, load(items), setLiked(item, liked) }, where load resolves to
+        // { counts: { [id]: number }, liked: [id] } and setLiked to the item's new count. The local adapter only
+        // knows about this browser's likes; the mock remote keeps shared totals behind a fake network delay.
+        const LIKES_KEY = "pictalens:likes";
+        const LIKES_ADAPTER_KEY = "pictalens:likes-adapter";
 
-            // Performance monitoring
-            usePerformanceMonitor();
+        const SHOWCASE_SORTS = [
+            { id: "featured", label: "Featured" },
+            { id: "popular", label: "Most liked" },
+            { id: "recent", label: "Newest" },
+        ];
 
-            const artworks = [
-                {
-                    id: 1,
-                    title: "Starry Night Reimagined",
-                    artist: "AI Generated",
-                    period: "Digital Age",
-                    category: "Digital Art",
-                    image: "https://image.pollinations.ai/prompt/A%20modern%20interpretation%20of%20Van%20Gogh's%20masterpiece%20using%20AI%20algorithms.?height=576&nologo=true&model=flux",
-                    description: "A modern interpretation of Van Gogh's masterpiece using AI algorithms.",
-                },
-                {
-                    id: 2,
-                    title: "Ancient Pottery",
-                    artist: "Unknown Artisan",
-                    period: "Bronze Age",
-                    category: "Ceramics",
-                    image: "https://images.ctfassets.net/cnu0m8re1exe/46iKYQz4SAi9YqGVco7LLE/f8811e49b291d6a5b88c722507e7a2dd/ancient-pottery.jpg",
-                    description: "Beautifully crafted pottery showcasing early human artistic expression.",
-                },
-                {
-                    id: 3,
-                    title: "Renaissance Portrait",
-                    artist: "Master Artist",
-                    period: "Renaissance",
-                    category: "Painting",
-                    image: "https://media.istockphoto.com/id/1718274155/vector/portrait-of-mona-lisa-painted-by-leonardo-da-vinci.jpg?s=612x612&w=0&k=20&c=M8SL388hMNWaeAlNK6zkPsAKIfggWM572TO4W9Yr75E=",
-                    description: "A stunning portrait exemplifying Renaissance artistic techniques.",
+        const createLocalLikesAdapter = ({ key = LIKES_KEY } = {}) => {
+            const readLiked = () => readStoredJson(key, []);
+
+            return {
+                name: "local",
+                load: async (items) => {
+                    const liked = readLiked();
+                    const counts = Object.fromEntries(
+                        items.map((item) => [item.id, item.likes + (liked.includes(item.id) ? 1 : 0)]),
+                    );
+                    return { counts, liked };
                 },
-                {
-                    id: 4,
-                    title: "Modern Sculpture",
-                    artist: "Contemporary Artist",
-                    period: "Modern",
-                    category: "Sculpture",
-                    image: "https://most-iconic-art.com/cdn/shop/files/modern-contemporary-sculpture-508.jpg?v=1724257901&width=1200",
-                    description: "Abstract sculpture representing modern artistic expression.",
+                setLiked: async (item, liked) => {
+                    const others = readLiked().filter((id) => id !== item.id);
+                    writeStoredJson(key, liked ? [...others, item.id] : others);
+                    return item.likes + (liked ? 1 : 0);
                 },
-                {
-                    id: 5,
-                    title: "Cave Art Recreation",
-                    artist: "Prehistoric Humans",
-                    period: "Prehistoric",
-                    category: "Cave Art",
-                    image: "https://th-thumbnailer.cdn-si-edu.com/bpaXsxS4cDpWDTPt4Z0XCTVhKE8=/1072x720/filters:no_upscale()/https://tf-cmsv2-smithsonianmag-media.s3.amazonaws.com/filer/75/9d/759d0831-61fc-4e60-b7d8-25cf7441cea8/apr2015_h03_chauvetcave.jpg",
-                    description: "Digital recreation of ancient cave paintings.",
+            };
+        };
+
+        // Stand-in for a likes API. `failureRate` makes requests fail at random so the optimistic rollback can be tried out
+        const createMockRemoteLikesAdapter = ({ key = "pictalens:mock-remote-likes", latencyMs = 300, failureRate = 0 } = {}) => {
+            const request = async () => {
+                await new Promise((resolve) => setTimeout(resolve, latencyMs));
+                if (Math.random() < failureRate) throw new Error("Mock likes service unavailable");
+                return readStoredJson(key, { counts: {}, liked: [] });
+            };
+
+            return {
+                name: "mock-remote",
+                load: async (items) => {
+                    const remote = await request();
+                    const counts = Object.fromEntries(items.map((item) => [item.id, likeCountOf(remote.counts, item)]));
+                    return { counts, liked: remote.liked };
                 },
-                {
-                    id: 6,
-                    title: "Futuristic Design",
-                    artist: "AI Collective",
-                    period: "Future",
-                    category: "Concept Art",
-                    image: "https://foyr.com/learn/wp-content/uploads/2021/04/futuristic-interior-design.jpg",
-                    description: "Conceptual art imagining future artistic possibilities.",
+                setLiked: async (item, liked) => {
+                    const remote = await request();
+                    const wasLiked = remote.liked.includes(item.id);
+                    const current = likeCountOf(remote.counts, item);
+                    const count = current + (liked === wasLiked ? 0 : liked ? 1 : -1);
+                    writeStoredJson(key, {
+                        counts: { ...remote.counts, [item.id]: count },
+                        liked: liked ? [...new Set([...remote.liked, item.id])] : remote.liked.filter((id) => id !== item.id),
+                    });
+                    return count;
                 },
-            ];
+            };
+        };
+
+        // Counts the adapter has not seen yet fall back to the count shipped with the item
+        const likeCountOf = (counts, item) => (counts[item.id] !== undefined ? counts[item.id] : item.likes);
 
-            const categories = ["All", "Digital Art", "Painting", "Sculpture", "Ceramics", "Cave Art", "Concept Art"];
+        const likesAdapters = {
+            local: () => createLocalLikesAdapter(),
+            "mock-remote": () => createMockRemoteLikesAdapter(),
+        };
+
+        // Toggles show up immediately and are rolled back if the adapter rejects them
+        const createLikesStore = (adapter) => {
+            let state = { status: "idle", counts: {}, liked: [], pending: [] };
+            const listeners = new Set();
+            // Items toggled while a load is in flight; the load's snapshot predates those clicks,
+            // so they keep their local state (as do toggles still waiting on the adapter)
+            let toggledDuringLoad = new Set();
+
+            const setState = (changes) => {
+                state = { ...state, ...changes };
+                listeners.forEach((listener) => listener(state));
+            };
+
+            const load = async (items) => {
+                const toggled = new Set();
+                toggledDuringLoad = toggled;
+                setState({ status: "loading" });
+                try {
+                    const loaded = await adapter.load(items);
+                    const keep = new Set([...toggled, ...state.pending]);
+                    const counts = { ...state.counts, ...loaded.counts };
+                    const liked = loaded.liked.filter((id) => !keep.has(id));
+                    keep.forEach((id) => {
+                        counts[id] = state.counts[id];
+                        if (state.liked.includes(id)) liked.push(id);
+                    });
+                    setState({ status: "ready", counts, liked });
+                } catch (error) {
+                    console.error(`Likes (${adapter.name}) could not be loaded:`, error);
+                    setState({ status: "error" });
+                }
+            };
 
-            // Memoized filtered artworks for performance
-            const filteredArtworks = useMemo(() => {
-                return artworks.filter((artwork) => {
-                    const matchesCategory = selectedCategory === "All" || artwork.category === selectedCategory;
-                    const matchesSearch =
-                        artwork.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                        artwork.artist.toLowerCase().includes(searchTerm.toLowerCase());
-                    return matchesCategory && matchesSearch;
+            const toggle = async (item) => {
+                if (state.pending.includes(item.id)) return;
+                toggledDuringLoad.add(item.id);
+                const wasLiked = state.liked.includes(item.id);
+                const previousCount = likeCountOf(state.counts, item);
+                const withoutItem = state.liked.filter((id) => id !== item.id);
+
+                setState({
+                    counts: { ...state.counts, [item.id]: previousCount + (wasLiked ? -1 : 1) },
+                    liked: wasLiked ? withoutItem : [...withoutItem, item.id],
+                    pending: [...state.pending, item.id],
                 });
-            }, [selectedCategory, searchTerm, artworks]);
 
-            // Load more items handler
-            const loadMoreItems = useCallback(() => {
-                if (visibleItems < filteredArtworks.length) {
-                    setIsLoading(true);
-                    setTimeout(() => {
-                        setVisibleItems(prev => Math.min(prev + 6, filteredArtworks.length));
-                        setIsLoading(false);
-                    }, 500);
+                try {
+                    const count = await adapter.setLiked(item, !wasLiked);
+                    setState({ counts: { ...state.counts, [item.id]: count } });
+                } catch (error) {
+                    setState({
+                        counts: { ...state.counts, [item.id]: previousCount },
+                        liked: wasLiked ? [...state.liked, item.id] : state.liked.filter((id) => id !== item.id),
+                    });
+                    throw error;
+                } finally {
+                    setState({ pending: state.pending.filter((id) => id !== item.id) });
                 }
-            }, [visibleItems, filteredArtworks.length]);
+            };
+
+            return {
+                load,
+                toggle,
+                getState: () => state,
+                subscribe: (listener) => {
+                    listeners.add(listener);
+                    return () => listeners.delete(listener);
+                },
+            };
+        };
+
+        const likesStore = createLikesStore(
+            (likesAdapters[readStoredJson(LIKES_ADAPTER_KEY, "local")] || likesAdapters.local)(),
+        );
+
+        const useLikes = (items) => {
+            const [state, setState] = useState(likesStore.getState);
+
+            useEffect(() => likesStore.subscribe(setState), []);
 
-            // Reset visible items when filters change
             useEffect(() => {
-                setVisibleItems(6);
-            }, [selectedCategory, searchTerm]);
+                if (items.length) likesStore.load(items);
+            }, [items]);
 
-            // Optimized Gallery Card Component
-            const GalleryCard = useMemo(() => ({ artwork, index }) => {
-                const [ref, isLoaded] = useLazyLoad();
-                
-                return h(
-                    "div",
-                    {
-                        key: artwork.id,
-                        ref,
-                        className: `gallery-card gpu-layer ${isLoaded ? 'loaded' : 'lazy-load'}`,
-                        style: {
-                            animationDelay: `${index * 0.1}s`,
-                            '--row-span': Math.floor(Math.random() * 20) + 30
-                        },
-                        role: "article",
-                        "aria-labelledby": `artwork-title-${artwork.id}`,
-                        "aria-describedby": `artwork-desc-${artwork.id}`,
-                        tabIndex: 0,
-                    },
-                    h(
-                        "div",
-                        { className: "gallery-card-image" },
-                        h("img", {
-                            src: isLoaded ? artwork.image : 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjY2NjIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkxvYWRpbmcuLi48L3RleHQ+PC9zdmc+',
-                            alt: artwork.title,
-                            loading: "lazy",
-                            decoding: "async",
-                            style: isLoaded ? {} : { filter: 'blur(5px)' }
-                        }),
-                        h("div", { className: "gallery-card-badge" }, artwork.period),
-                    ),
+            return state;
+        };
+
+        // Personal collections
+        // Favourites is a built-in collection next to the user's named ones. Items are snapshots
+        // ({ type, id, title, subtitle, image }) so a collection still renders when its source changes.
+        const COLLECTIONS_KEY = "pictalens:collections";
+        const FAVOURITES_ID = "favourites";
+
+        const COLLECTION_ITEM_TYPES = {
+            artwork: "Gallery artwork",
+            showcase: "AI showcase",
+            design: "Fashion design",
+            generation: "My generation",
+        };
+
+        const collectionItemKey = (item) => `${item.type}:${item.id}`;
+
+        const collectionItemFrom = {
+            artwork: (artwork) => ({
+                type: "artwork",
+                id: artwork.id,
+                title: artwork.title,
+                subtitle: `${artwork.artist} · ${artwork.period}`,
+                image: artwork.image,
+            }),
+            showcase: (artwork) => ({
+                type: "showcase",
+                id: artwork.id,
+                title: artwork.title,
+                subtitle: artwork.style,
+                image: artwork.image,
+                details: { prompt: artwork.prompt, style: artwork.style, model: artwork.algorithm },
+            }),
+            design: (design) => ({
+                type: "design",
+                id: design.id,
+                title: design.title,
+                subtitle: design.description,
+                image: design.image,
+                details: { materials: design.materials, features: design.features },
+            }),
+            // Blob-only generations have no lasting URL; the collection view looks them up in history
+            generation: (record) => ({
+                type: "generation",
+                id: record.id,
+                title: record.prompt,
+                subtitle: `${record.kind === "fashion" ? "Fashion" : "Art"} · ${record.model} · ${record.width}×${record.height}`,
+                image: record.imageUrl,
+                details: {
+                    kind: record.kind,
+                    prompt: record.prompt,
+                    negativePrompt: record.negativePrompt,
+                    model: record.model,
+                    width: record.width,
+                    height: record.height,
+                    seed: record.seed,
+                    stylePresetId: record.stylePresetId,
+                    referenceImage: record.referenceImage ? record.referenceImage.url : undefined,
+                    strength: record.referenceImage ? record.strength : undefined,
+                },
+            }),
+        };
+
+        const createCollectionsStore = () => {
+            const listeners = new Set();
+            const favourites = () => ({ id: FAVOURITES_ID, name: "Favourites", createdAt: Date.now(), items: [] });
+
+            let collections = readStoredJson(COLLECTIONS_KEY, []);
+            if (!collections.some((collection) => collection.id === FAVOURITES_ID)) {
+                collections = [favourites(), ...collections];
+            }
+
+            const commit = (next) => {
+                collections = next;
+                writeStoredJson(COLLECTIONS_KEY, collections);
+                listeners.forEach((listener) => listener(collections));
+            };
+
+            const updateCollection = (id, change) =>
+                commit(collections.map((collection) => (collection.id === id ? { ...collection, ...change(collection) } : collection)));
+
+            return {
+                getAll: () => collections,
+                subscribe: (listener) => {
+                    listeners.add(listener);
+                    return () => listeners.delete(listener);
+                },
+                create: (name) => {
+                    const collection = { id: createId(), name, createdAt: Date.now(), items: [] };
+                    commit([...collections, collection]);
+                    return collection;
+                },
+                rename: (id, name) => updateCollection(id, () => ({ name })),
+                remove: (id) => {
+                    if (id !== FAVOURITES_ID) commit(collections.filter((collection) => collection.id !== id));
+                },
+                toggleItem: (id, item) =>
+                    updateCollection(id, (collection) => {
+                        const key = collectionItemKey(item);
+                        return collection.items.some((entry) => collectionItemKey(entry) === key)
+                            ? { items: collection.items.filter((entry) => collectionItemKey(entry) !== key) }
+                            : { items: [...collection.items, { ...item, addedAt: Date.now() }] };
+                    }),
+                removeItem: (id, key) =>
+                    updateCollection(id, (collection) => ({
+                        items: collection.items.filter((entry) => collectionItemKey(entry) !== key),
+                    })),
+                moveItem: (id, key, toIndex) =>
+                    updateCollection(id, (collection) => {
+                        const fromIndex = collection.items.findIndex((entry) => collectionItemKey(entry) === key);
+                        if (fromIndex === -1 || toIndex < 0 || toIndex >= collection.items.length) return {};
+                        const items = [...collection.items];
+                        const [moved] = items.splice(fromIndex, 1);
+                        items.splice(toIndex, 0, moved);
+                        return { items };
+                    }),
+            };
+        };
+
+        const collectionsStore = createCollectionsStore();
+
+        const useCollections = () => {
+            const [collections, setCollections] = useState(collectionsStore.getAll);
+
+            useEffect(() => {
+                setCollections(collectionsStore.getAll());
+                return collectionsStore.subscribe(setCollections);
+            }, []);
+
+            return collections;
+        };
+
+        // Star to favourite, plus a menu to file the item into named collections
+        const CollectButton = ({ item }) => {
+            const collections = useCollections();
+            const [menuOpen, setMenuOpen] = useState(false);
+            const [newName, setNewName] = useState("");
+            const containerRef = useRef(null);
+
+            const key = collectionItemKey(item);
+            const contains = (collection) => collection.items.some((entry) => collectionItemKey(entry) === key);
+            const isFavourite = contains(collections.find((collection) => collection.id === FAVOURITES_ID));
+
+            useEffect(() => {
+                if (!menuOpen) return;
+                const handlePointerDown = (e) => {
+                    if (containerRef.current && !containerRef.current.contains(e.target)) setMenuOpen(false);
+                };
+                const handleEscape = (e) => {
+                    if (e.key === "Escape") setMenuOpen(false);
+                };
+                document.addEventListener("mousedown", handlePointerDown);
+                document.addEventListener("keydown", handleEscape);
+                return () => {
+                    document.removeEventListener("mousedown", handlePointerDown);
+                    document.removeEventListener("keydown", handleEscape);
+                };
+            }, [menuOpen]);
+
+            const createCollection = (e) => {
+                e.preventDefault();
+                const name = newName.trim();
+                if (!name) return;
+                const collection = collectionsStore.create(name);
+                collectionsStore.toggleItem(collection.id, item);
+                setNewName("");
+            };
+
+            // Cards open a lightbox on click, Enter and Space, so those must not reach them
+            return h(
+                "div",
+                {
+                    ref: containerRef,
+                    className: "collect-control",
+                    onClick: (e) => e.stopPropagation(),
+                    onKeyDown: (e) => {
+                        if (e.key === "Enter" || e.key === " ") e.stopPropagation();
+                    },
+                },
+                h(
+                    "button",
+                    {
+                        type: "button",
+                        className: `ai-action-btn collect-favourite ${isFavourite ? "active" : ""}`,
+                        "aria-pressed": isFavourite,
+                        "aria-label": isFavourite ? `Remove ${item.title} from favourites` : `Add ${item.title} to favourites`,
+                        onClick: () => collectionsStore.toggleItem(FAVOURITES_ID, item),
+                    },
+                    isFavourite ? "★" : "☆",
+                ),
+                h(
+                    "button",
+                    {
+                        type: "button",
+                        className: "ai-action-btn",
+                        "aria-expanded": menuOpen,
+                        "aria-label": `Add ${item.title} to a collection`,
+                        onClick: () => setMenuOpen((open) => !open),
+                    },
+                    "+",
+                ),
+                menuOpen &&
                     h(
                         "div",
-                        { className: "gallery-card-content" },
-                        h("h3", {
-                            className: "gallery-card-title",
-                            id: `artwork-title-${artwork.id}`
-                        }, artwork.title),
-                        h("p", { className: "gallery-card-artist" }, artwork.artist),
-                        h("p", {
-                            className: "gallery-card-desc",
-                            id: `artwork-desc-${artwork.id}`
-                        }, artwork.description),
+                        { className: "collect-menu", role: "dialog", "aria-label": "Add to collection" },
+                        h("p", { className: "collect-menu-title" }, "Add to collection"),
+                        collections
+                            .filter((collection) => collection.id !== FAVOURITES_ID)
+                            .map((collection) =>
+                                h(
+                                    "label",
+                                    { key: collection.id, className: "collect-menu-item" },
+                                    h("input", {
+                                        type: "checkbox",
+                                        checked: contains(collection),
+                                        onChange: () => collectionsStore.toggleItem(collection.id, item),
+                                    }),
+                                    collection.name,
+                                ),
+                            ),
+                        h(
+                            "form",
+                            { className: "collect-menu-form", onSubmit: createCollection },
+                            h("input", {
+                                className: "dimension-input",
+                                placeholder: "New collection",
+                                "aria-label": "New collection name",
+                                value: newName,
+                                onChange: (e) => setNewName(e.target.value),
+                            }),
+                            h("button", { type: "submit", className: "preset-btn", disabled: !newName.trim() }, "Create"),
+                        ),
                     ),
-                );
+            );
+        };
+
+        // Gallery search
+        // The index is built once per artwork list. Queries match every field with typo tolerance and
+        // support field filters and phrases: `van gogh category:Painting period:"Bronze Age"`.
+        const GALLERY_SEARCH_FIELDS = [
+            { key: "title", weight: 5 },
+            { key: "artist", weight: 4 },
+            { key: "category", weight: 3 },
+            { key: "period", weight: 3 },
+            { key: "description", weight: 1 },
+        ];
+
+        const normalizeSearchText = (text) =>
+            text
+                .normalize("NFD")
+                .replace(/[\u0300-\u036f]/g, "")
+                .toLowerCase();
+
+        // Words keep their position in the original text so matches can be highlighted
+        const tokenizeSearchText = (text) =>
+            Array.from(text.matchAll(/[\p{L}\p{N}]+/gu), (match) => ({
+                value: normalizeSearchText(match[0]),
+                start: match.index,
+                end: match.index + match[0].length,
+            }));
+
+        const parseSearchQuery = (query) => {
+            const terms = [];
+            const phrases = [];
+            const filters = [];
+            const fieldKeys = GALLERY_SEARCH_FIELDS.map((field) => field.key);
+
+            for (const match of query.matchAll(/(\w+):"([^"]*)"?|(\w+):(\S+)|"([^"]*)"?|(\S+)/g)) {
+                const field = (match[1] || match[3] || "").toLowerCase();
+                const value = match[2] !== undefined ? match[2] : match[4];
+                if (field && fieldKeys.includes(field)) {
+                    if (value.trim()) filters.push({ field, value: normalizeSearchText(value.trim()) });
+                } else if (match[5] !== undefined) {
+                    if (match[5].trim()) phrases.push(normalizeSearchText(match[5].trim()));
+                } else {
+                    terms.push(...tokenizeSearchText(match[0]).map((token) => token.value));
+                }
+            }
+            return { terms, phrases, filters };
+        };
+
+        // Optimal string alignment distance, giving up once it exceeds `max`
+        const editDistance = (a, b, max) => {
+            if (Math.abs(a.length - b.length) > max) return max + 1;
+            let previous = [];
+            let current = Array.from({ length: b.length + 1 }, (_, index) => index);
+            for (let i = 1; i <= a.length; i++) {
+                const beforePrevious = previous;
+                previous = current;
+                current = [i];
+                let rowMin = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                    if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                    }
+                    rowMin = Math.min(rowMin, current[j]);
+                }
+                if (rowMin > max) return max + 1;
+            }
+            return current[b.length];
+        };
+
+        const allowedTypos = (term) => (term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2);
+
+        // 1 for an exact word, less for prefixes, substrings and typos, 0 for no match
+        const scoreTermMatch = (term, word) => {
+            if (word === term) return 1;
+            if (word.startsWith(term)) return 0.8;
+            if (term.length >= 3 && word.includes(term)) return 0.6;
+            const typos = allowedTypos(term);
+            if (!typos) return 0;
+            const distance = editDistance(term, word, typos);
+            return distance <= typos ? 0.5 - distance * 0.1 : 0;
+        };
+
+        // The normalised text plus, for each of its characters, the position it came from in the original
+        // (whose length can differ). Built once per field when the index is.
+        const mapNormalizedText = (text) => {
+            let normalized = "";
+            const origins = [];
+            text.split("").forEach((char, index) => {
+                const folded = normalizeSearchText(char);
+                normalized += folded;
+                origins.push(...Array(folded.length).fill(index));
+            });
+            return { normalized, origins };
+        };
+
+        // Searches a field's normalised text but returns positions in the original
+        const findSubstringRange = ({ normalized, origins }, value) => {
+            const start = normalized.indexOf(value);
+            if (start === -1) return null;
+            return [origins[start], origins[start + value.length - 1] + 1];
+        };
+
+        const createGallerySearchIndex = (items) => {
+            const entries = items.map((item, order) => ({
+                item,
+                order,
+                fields: GALLERY_SEARCH_FIELDS.map((field) => {
+                    const text = String(item[field.key] || "");
+                    return { ...field, text, tokens: tokenizeSearchText(text), ...mapNormalizedText(text) };
+                }),
+            }));
+
+            // Returns [{ item, score, order, highlights: { [field]: [[start, end], ...] } }], best first
+            const search = (query) => {
+                const { terms, phrases, filters } = parseSearchQuery(query);
+                if (!terms.length && !phrases.length && !filters.length) {
+                    return entries.map((entry) => ({ item: entry.item, score: 0, order: entry.order, highlights: {} }));
+                }
+
+                const results = [];
+                entries.forEach((entry) => {
+                    const highlights = {};
+                    const addHighlight = (key, range) => {
+                        highlights[key] = [...(highlights[key] || []), range];
+                    };
+                    let score = 0;
+
+                    for (const filter of filters) {
+                        const field = entry.fields.find((candidate) => candidate.key === filter.field);
+                        const range = findSubstringRange(field, filter.value);
+                        if (!range) return;
+                        addHighlight(field.key, range);
+                    }
+
+                    for (const phrase of phrases) {
+                        const hits = entry.fields
+                            .map((field) => ({ field, range: findSubstringRange(field, phrase) }))
+                            .filter((hit) => hit.range);
+                        if (!hits.length) return;
+                        hits.forEach((hit) => addHighlight(hit.field.key, hit.range));
+                        score += Math.max(...hits.map((hit) => hit.field.weight)) * 1.5;
+                    }
+
+                    // Every term has to match somewhere; its best field counts towards the rank
+                    for (const term of terms) {
+                        let best = 0;
+                        entry.fields.forEach((field) => {
+                            field.tokens.forEach((token) => {
+                                const quality = scoreTermMatch(term, token.value);
+                                if (!quality) return;
+                                addHighlight(field.key, [token.start, token.end]);
+                                best = Math.max(best, quality * field.weight);
+                            });
+                        });
+                        if (!best) return;
+                        score += best;
+                    }
+
+                    results.push({ item: entry.item, score, order: entry.order, highlights });
+                });
+
+                return results.sort((a, b) => b.score - a.score || a.order - b.order);
+            };
+
+            return { search };
+        };
+
+        // Wraps the given [start, end] ranges of `text` in <mark>, merging overlaps
+        const renderHighlighted = (text, ranges) => {
+            if (!ranges || !ranges.length) return text;
+            const merged = [...ranges]
+                .sort((a, b) => a[0] - b[0])
+                .reduce((list, range) => {
+                    const last = list[list.length - 1];
+                    if (last && range[0] <= last[1]) {
+                        last[1] = Math.max(last[1], range[1]);
+                    } else {
+                        list.push([...range]);
+                    }
+                    return list;
+                }, []);
+
+            const parts = [];
+            let cursor = 0;
+            merged.forEach(([start, end]) => {
+                if (start > cursor) parts.push(text.slice(cursor, start));
+                parts.push(h("mark", { key: start, className: "search-highlight" }, text.slice(start, end)));
+                cursor = end;
+            });
+            if (cursor < text.length) parts.push(text.slice(cursor));
+            return parts;
+        };
+
+        const LIGHTBOX_MAX_ZOOM = 4;
+        const SWIPE_THRESHOLD = 50;
+        const resetLightboxView = { scale: 1, x: 0, y: 0 };
+
+        // Full-screen artwork viewer: wheel, double-click or +/- to zoom, drag to pan,
+        // arrow keys or swipe to move through the current results
+        const ArtworkLightbox = ({ artworks, index, onNavigate, onClose }) => {
+            const artwork = artworks[index];
+            const [view, setView] = useState(resetLightboxView);
+            const pointerRef = useRef(null);
+            const closeButtonRef = useRef(null);
+
+            useEffect(() => {
+                setView(resetLightboxView);
+            }, [artwork.id]);
+
+            const zoomBy = useCallback((factor) => {
+                setView((prev) => {
+                    const scale = Math.min(LIGHTBOX_MAX_ZOOM, Math.max(1, prev.scale * factor));
+                    return scale === 1 ? resetLightboxView : { ...prev, scale };
+                });
+            }, []);
+
+            const goTo = useCallback(
+                (offset) => {
+                    const next = artworks[index + offset];
+                    if (next) onNavigate(next.id);
+                },
+                [artworks, index, onNavigate],
+            );
+
+            useEffect(() => {
+                const handleKeyDown = (e) => {
+                    // Leave typing in the collection menu alone
+                    if (e.target.closest && e.target.closest("input, textarea, select")) return;
+                    switch (e.key) {
+                        case "ArrowLeft":
+                            goTo(-1);
+                            break;
+                        case "ArrowRight":
+                            goTo(1);
+                            break;
+                        case "+":
+                        case "=":
+                            zoomBy(1.5);
+                            break;
+                        case "-":
+                            zoomBy(1 / 1.5);
+                            break;
+                        case "0":
+                            setView(resetLightboxView);
+                            break;
+                        case "Escape":
+                            onClose();
+                            break;
+                        default:
+                            return;
+                    }
+                    e.preventDefault();
+                };
+                document.addEventListener("keydown", handleKeyDown);
+                return () => document.removeEventListener("keydown", handleKeyDown);
+            }, [goTo, zoomBy, onClose]);
+
+            // Lock page scroll while open and hand focus back to the card afterwards
+            useEffect(() => {
+                const previousFocus = document.activeElement;
+                const previousOverflow = document.body.style.overflow;
+                document.body.style.overflow = "hidden";
+                if (closeButtonRef.current) closeButtonRef.current.focus();
+                return () => {
+                    document.body.style.overflow = previousOverflow;
+                    if (previousFocus && previousFocus.focus) previousFocus.focus();
+                };
             }, []);
 
+            // A single pointer pans when zoomed in and swipes between artworks otherwise
+            const handlePointerDown = (e) => {
+                pointerRef.current = { startX: e.clientX, startY: e.clientY, originX: view.x, originY: view.y };
+                if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+            };
+
+            const handlePointerMove = (e) => {
+                const pointer = pointerRef.current;
+                if (!pointer || view.scale === 1) return;
+                setView((prev) => ({
+                    ...prev,
+                    x: pointer.originX + e.clientX - pointer.startX,
+                    y: pointer.originY + e.clientY - pointer.startY,
+                }));
+            };
+
+            const handlePointerUp = (e) => {
+                const pointer = pointerRef.current;
+                pointerRef.current = null;
+                if (!pointer || view.scale > 1) return;
+                const deltaX = e.clientX - pointer.startX;
+                if (Math.abs(deltaX) > SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(e.clientY - pointer.startY)) {
+                    goTo(deltaX < 0 ? 1 : -1);
+                }
+            };
+
+            const arrowIcon = (d) =>
+                h(
+                    "svg",
+                    { width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2" },
+                    h("path", { d }),
+                );
+
             return h(
-                "section",
+                "div",
                 {
-                    id: "gallery",
-                    className: "section",
+                    className: "lightbox",
+                    role: "dialog",
+                    "aria-modal": "true",
+                    "aria-label": artwork.title,
+                    onClick: onClose,
                 },
                 h(
                     "div",
-                    { className: "container" },
+                    {
+                        className: "lightbox-stage",
+                        onClick: (e) => e.stopPropagation(),
+                        onPointerDown: handlePointerDown,
+                        onPointerMove: handlePointerMove,
+                        onPointerUp: handlePointerUp,
+                        onPointerCancel: () => (pointerRef.current = null),
+                        onWheel: (e) => zoomBy(e.deltaY < 0 ? 1.2 : 1 / 1.2),
+                        onDoubleClick: () => (view.scale > 1 ? setView(resetLightboxView) : zoomBy(2)),
+                    },
+                    h("img", {
+                        src: artwork.image,
+                        alt: artwork.title,
+                        className: "lightbox-image",
+                        draggable: false,
+                        style: {
+                            transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`,
+                            cursor: view.scale > 1 ? "grab" : "zoom-in",
+                        },
+                    }),
+                    h(
+                        "button",
+                        {
+                            type: "button",
+                            className: "lightbox-nav lightbox-prev",
+                            onClick: () => goTo(-1),
+                            disabled: index === 0,
+                            "aria-label": "Previous artwork",
+                        },
+                        arrowIcon("m15,18 -6,-6 6,-6"),
+                    ),
+                    h(
+                        "button",
+                        {
+                            type: "button",
+                            className: "lightbox-nav lightbox-next",
+                            onClick: () => goTo(1),
+                            disabled: index === artworks.length - 1,
+                            "aria-label": "Next artwork",
+                        },
+                        arrowIcon("m9,18 6,-6 -6,-6"),
+                    ),
+                ),
+                h(
+                    "aside",
+                    { className: "lightbox-panel", onClick: (e) => e.stopPropagation() },
                     h(
                         "div",
-                        { className: "text-center animate-fadeInUp" },
+                        { className: "lightbox-panel-header" },
+                        h("span", { className: "lightbox-counter" }, `${index + 1} / ${artworks.length}`),
                         h(
-                            "h2",
-                            { className: "section-title" },
-                            h(
-                                "span",
-                                {
-                                    style: {
-                                        background: "linear-gradient(to right, #ffffff, #a855f7)",
-                                        WebkitBackgroundClip: "text",
-                                        backgroundClip: "text",
-                                        color: "transparent",
-                                    },
-                                },
-                                "Art Evolution Gallery"
-                            )
+                            "button",
+                            {
+                                ref: closeButtonRef,
+                                type: "button",
+                                className: "ai-action-btn",
+                                onClick: onClose,
+                                "aria-label": "Close artwork",
+                            },
+                            "✕",
+                        ),
+                    ),
+                    h("h3", { className: "lightbox-title" }, artwork.title),
+                    h(CollectButton, { item: collectionItemFrom.artwork(artwork) }),
+                    h(
+                        "dl",
+                        { className: "lightbox-meta" },
+                        [
+                            ["Artist", artwork.artist],
+                            ["Period", artwork.period],
+                            ["Category", artwork.category],
+                        ].map(([label, value]) =>
+                            h("div", { key: label }, h("dt", null, label), h("dd", null, value)),
                         ),
-                        h(
-                            "p",
-                            { className: "section-description" },
-                            "Witness the transformation of artistic expression across civilizations"
-                        )
                     ),
+                    h("p", { className: "lightbox-desc" }, artwork.description),
                     h(
                         "div",
-                        { className: "gallery-controls" },
+                        { className: "lightbox-zoom" },
                         h(
-                            "div",
-                            { className: "search-container" },
-                            h(
-                                "svg",
-                                {
-                                    className: "search-icon",
-                                    width: "20",
-                                    height: "20",
-                                    viewBox: "0 0 24 24",
-                                    fill: "none",
-                                    stroke: "currentColor",
-                                    strokeWidth: "2",
-                                },
-                                h("circle", { cx: "11", cy: "11", r: "8" }),
-                                h("path", { d: "m21,21 -4.35,-4.35" }),
-                            ),
-                            h("input", {
-                                type: "text",
-                                placeholder: "Search artworks...",
-                                className: "search-input",
-                                value: searchTerm,
-                                onChange: (e) => setSearchTerm(e.target.value),
-                            }),
+                            "button",
+                            { type: "button", className: "preset-btn", onClick: () => zoomBy(1 / 1.5), "aria-label": "Zoom out" },
+                            "−",
                         ),
+                        h("span", null, `${Math.round(view.scale * 100)}%`),
                         h(
-                            "div",
-                            { className: "view-controls" },
-                            h(
-                                "button",
-                                {
-                                    className: `view-btn ${viewMode === "grid" ? "active" : ""}`,
-                                    onClick: () => setViewMode("grid"),
-                                },
-                                h(
-                                    "svg",
-                                    {
-                                        width: "16",
-                                        height: "16",
-                                        viewBox: "0 0 24 24",
-                                        fill: "none",
-                                        stroke: "currentColor",
-                                        strokeWidth: "2",
-                                    },
-                                    h("rect", { x: "3", y: "3", width: "7", height: "7" }),
-                                    h("rect", { x: "14", y: "3", width: "7", height: "7" }),
-                                    h("rect", { x: "14", y: "14", width: "7", height: "7" }),
-                                    h("rect", { x: "3", y: "14", width: "7", height: "7" }),
-                                ),
-                            ),
-                            h(
-                                "button",
-                                {
-                                    className: `view-btn ${viewMode === "list" ? "active" : ""}`,
-                                    onClick: () => setViewMode("list"),
-                                },
-                                h(
-                                    "svg",
-                                    {
-                                        width: "16",
-                                        height: "16",
-                                        viewBox: "0 0 24 24",
-                                        fill: "none",
-                                        stroke: "currentColor",
-                                        strokeWidth: "2",
-                                    },
-                                    h("line", { x1: "8", y1: "6", x2: "21", y2: "6" }),
-                                    h("line", { x1: "8", y1: "12", x2: "21", y2: "12" }),
-                                    h("line", { x1: "8", y1: "18", x2: "21", y2: "18" }),
-                                    h("line", { x1: "3", y1: "6", x2: "3.01", y2: "6" }),
-                                    h("line", { x1: "3", y1: "12", x2: "3.01", y2: "12" }),
-                                    h("line", { x1: "3", y1: "18", x2: "3.01", y2: "18" }),
+                            "button",
+                            { type: "button", className: "preset-btn", onClick: () => zoomBy(1.5), "aria-label": "Zoom in" },
+                            "+",
+                        ),
+                        h(
+                            "button",
+                            { type: "button", className: "preset-btn", onClick: () => setView(resetLightboxView) },
+                            "Reset",
+                        ),
+                    ),
+                    h("p", { className: "form-hint" }, "Arrow keys or swipe to browse · scroll or double-click to zoom"),
+                ),
+            );
+        };
+
+        // Gallery facets and sort orders; the selection is remembered between visits
+        const GALLERY_VIEW_KEY = "pictalens:gallery-view";
+
+        const GALLERY_FACETS = [
+            { key: "category", label: "Category" },
+            { key: "period", label: "Period" },
+            { key: "artist", label: "Artist" },
+        ];
+
+        const GALLERY_SORTS = [
+            { id: "featured", label: "Featured" },
+            { id: "title", label: "Title (A–Z)" },
+            { id: "period", label: "Period (oldest first)" },
+            { id: "artist", label: "Artist (A–Z)" },
+            { id: "recent", label: "Recently added" },
+        ];
+
+        // Results are revealed a page at a time as the gallery is scrolled
+        const GALLERY_PAGE_SIZE = 12;
+        const GALLERY_SENTINEL_OPTIONS = { rootMargin: "400px" };
+
+        const emptyGalleryFacets = () => ({ category: [], period: [], artist: [] });
+
+        const compareText = (a, b) => a.localeCompare(b, undefined, { sensitivity: "base" });
+
+        // Artworks without a year sort after dated ones
+        const compareYears = (a, b) =>
+            (Number.isFinite(a) ? a : Infinity) - (Number.isFinite(b) ? b : Infinity);
+
+        // "featured" keeps the collection order, or search relevance while a query is active.
+        // Later entries in the collection are the most recently added.
+        const gallerySorters = {
+            title: (a, b) => compareText(a.item.title, b.item.title),
+            period: (a, b) => compareYears(a.item.year, b.item.year) || compareText(a.item.period, b.item.period),
+            artist: (a, b) => compareText(a.item.artist, b.item.artist) || compareText(a.item.title, b.item.title),
+            recent: (a, b) => b.order - a.order,
+        };
+
+        // An item passes when, for every facet with a selection, its value is one of the selected ones.
+        // `ignoredKey` leaves one facet out, which is how each facet's own counts are computed.
+        const matchesGalleryFacets = (item, facets, ignoredKey = null) =>
+            GALLERY_FACETS.every(
+                ({ key }) => key === ignoredKey || !facets[key].length || facets[key].includes(item[key]),
+            );
+
+        const readFacetParams = (params) =>
+            Object.fromEntries(GALLERY_FACETS.map(({ key }) => [key, (params[key] || "").split(",").filter(Boolean)]));
+
+        const writeFacetParams = (facets) =>
+            Object.fromEntries(GALLERY_FACETS.map(({ key }) => [key, facets[key].join(",")]));
+
+        // Artwork data sources
+        // The gallery reads artworks a page at a time from a source: { name, query(request, { signal }), get(id), subscribe(listener) }.
+        // query({ q, facets, sort, cursor, limit }) resolves to { results: [{ item, highlights }], nextCursor, total,
+        // catalogueSize, facetValues, facetCounts }. Cursors are opaque; null means there is nothing after this page.
+        // facetCounts is { [facet]: { [value]: count } }, counted without that facet's own selection.
+        const createLocalArtworkSource = ({ collection = "artworks", latencyMs = 0 } = {}) => {
+            let catalogue = null;
+            const listeners = new Set();
+
+            // Local edits from the content editor win over the published JSON, as in useContent
+            subscribeContentOverrides((changed) => {
+                if (changed !== collection) return;
+                catalogue = null;
+                listeners.forEach((listener) => listener());
+            });
+
+            const prepare = () => {
+                if (!catalogue) {
+                    const override = getContentOverride(collection);
+                    catalogue = Promise.resolve(override || loadContent(collection)).then((items) => ({
+                        items,
+                        index: createGallerySearchIndex(items),
+                    }));
+                    catalogue.catch(() => {
+                        catalogue = null;
+                    });
+                }
+                return catalogue;
+            };
+
+            const wait = (signal) =>
+                new Promise((resolve, reject) => {
+                    if (signal && signal.aborted) return reject(new DOMException("Aborted", "AbortError"));
+                    if (!latencyMs) return resolve();
+                    setTimeout(resolve, latencyMs);
+                });
+
+            // Periods are listed chronologically by the earliest dated artwork in each
+            const facetValuesOf = (items) => {
+                const earliestYear = new Map();
+                items.forEach((artwork) => {
+                    const known = earliestYear.has(artwork.period) ? earliestYear.get(artwork.period) : Infinity;
+                    earliestYear.set(artwork.period, Math.min(known, Number.isFinite(artwork.year) ? artwork.year : Infinity));
+                });
+                const valuesOf = (key) => [...new Set(items.map((artwork) => artwork[key]))];
+                return {
+                    category: valuesOf("category").sort(compareText),
+                    period: valuesOf("period").sort(
+                        (a, b) => compareYears(earliestYear.get(a), earliestYear.get(b)) || compareText(a, b),
+                    ),
+                    artist: valuesOf("artist").sort(compareText),
+                };
+            };
+
+            const facetCountsOf = (matches, facets) =>
+                Object.fromEntries(
+                    GALLERY_FACETS.map(({ key }) => {
+                        const counts = {};
+                        matches.forEach(({ item }) => {
+                            if (matchesGalleryFacets(item, facets, key)) counts[item[key]] = (counts[item[key]] || 0) + 1;
+                        });
+                        return [key, counts];
+                    }),
+                );
+
+            return {
+                name: "local-json",
+                query: async ({ q = "", facets = emptyGalleryFacets(), sort = "featured", cursor = null, limit = GALLERY_PAGE_SIZE }, { signal } = {}) => {
+                    const { items, index } = await prepare();
+                    await wait(signal);
+
+                    const matches = index.search(q);
+                    const filtered = matches.filter((result) => matchesGalleryFacets(result.item, facets));
+                    const sorted = gallerySorters[sort] ? [...filtered].sort(gallerySorters[sort]) : filtered;
+                    const offset = cursor ? Number(cursor) : 0;
+                    const end = offset + limit;
+
+                    return {
+                        results: sorted.slice(offset, end).map(({ item, highlights }) => ({ item, highlights })),
+                        nextCursor: end < sorted.length ? String(end) : null,
+                        total: sorted.length,
+                        catalogueSize: items.length,
+                        facetValues: facetValuesOf(items),
+                        facetCounts: facetCountsOf(matches, facets),
+                    };
+                },
+                get: async (id) => {
+                    const { items } = await prepare();
+                    return items.find((item) => item.id === id) || null;
+                },
+                subscribe: (listener) => {
+                    listeners.add(listener);
+                    return () => listeners.delete(listener);
+                },
+            };
+        };
+
+        const artworkSource = createLocalArtworkSource();
+
+        const emptyArtworkPages = () => ({
+            status: "loading",
+            results: [],
+            nextCursor: null,
+            total: 0,
+            catalogueSize: 0,
+            facetValues: { category: [], period: [], artist: [] },
+            facetCounts: { category: {}, period: {}, artist: {} },
+            error: null,
+            moreStatus: "idle",
+        });
+
+        // Pages of `source` for one query. A new query (or a change in the source) starts again from the
+        // first page; `loadMore` appends the next one. Failures keep what was already loaded.
+        const useArtworkPages = ({ q, facets, sort }, source = artworkSource) => {
+            const [state, setState] = useState(emptyArtworkPages);
+            const [attempt, setAttempt] = useState(0);
+            const requestRef = useRef(null);
+            // Compared by value, so re-created filter objects with the same contents do not refetch
+            const queryKey = JSON.stringify({ q, facets, sort });
+
+            const describeError = (error) => ({
+                message: error.message || "The artworks could not be loaded.",
+                details: error.details || [],
+            });
+
+            useEffect(() => source.subscribe(() => setAttempt((count) => count + 1)), [source]);
+
+            useEffect(() => {
+                const controller = new AbortController();
+                requestRef.current = controller;
+                setState((prev) => ({ ...prev, status: "loading", error: null, moreStatus: "idle" }));
+                source.query({ q, facets, sort, cursor: null }, { signal: controller.signal }).then(
+                    (page) => {
+                        if (!controller.signal.aborted) setState({ ...emptyArtworkPages(), ...page, status: "ready" });
+                    },
+                    (error) => {
+                        if (controller.signal.aborted) return;
+                        console.error("Could not load artworks:", error);
+                        setState((prev) => ({ ...prev, status: "error", results: [], error: describeError(error) }));
+                    },
+                );
+                return () => controller.abort();
+            }, [source, queryKey, attempt]);
+
+            const loadMore = useCallback(() => {
+                if (state.status !== "ready" || !state.nextCursor || state.moreStatus === "loading") return;
+                const controller = requestRef.current;
+                setState((prev) => ({ ...prev, moreStatus: "loading" }));
+                source.query({ q, facets, sort, cursor: state.nextCursor }, { signal: controller.signal }).then(
+                    (page) => {
+                        if (controller.signal.aborted) return;
+                        setState((prev) => ({
+                            ...prev,
+                            ...page,
+                            results: [...prev.results, ...page.results],
+                            moreStatus: "idle",
+                        }));
+                    },
+                    (error) => {
+                        if (controller.signal.aborted) return;
+                        console.error("Could not load more artworks:", error);
+                        setState((prev) => ({ ...prev, moreStatus: "error", error: describeError(error) }));
+                    },
+                );
+            }, [source, queryKey, state.status, state.nextCursor, state.moreStatus]);
+
+            const reload = useCallback(() => setAttempt((count) => count + 1), []);
+
+            return { ...state, loadMore, reload };
+        };
+
+        // Enhanced Art Gallery Component with Performance Optimizations
+        const ArtGallery = () => {
+            const [savedView] = useState(() => readStoredJson(GALLERY_VIEW_KEY, {}));
+            const [facets, setFacets] = useState(() => ({ ...emptyGalleryFacets(), ...savedView.facets }));
+            const [sortBy, setSortBy] = useState(() => (gallerySorters[savedView.sortBy] ? savedView.sortBy : "featured"));
+            const [viewMode, setViewMode] = useState("grid");
+            const [searchTerm, setSearchTerm] = useState("");
+
+            // Performance monitoring
+            usePerformanceMonitor();
+
+            useEffect(() => {
+                writeStoredJson(GALLERY_VIEW_KEY, { facets, sortBy });
+            }, [facets, sortBy]);
+
+            // Search, facets and sort are applied by the data source; the gallery only keeps the pages it was sent
+            const pages = useArtworkPages({ q: searchTerm, facets, sort: sortBy });
+            const { facetValues, facetCounts } = pages;
+            const loadedArtworks = pages.results;
+            const hasMore = Boolean(pages.nextCursor);
+            const isBusy = pages.status === "loading" || pages.moreStatus === "loading";
+
+            const hasActiveFacets = GALLERY_FACETS.some(({ key }) => facets[key].length > 0);
+
+            // Saved selections can outlive the content they named (edits, new catalogue); once the first page
+            // says which values exist, restored ones that match no artwork are dropped instead of emptying the grid
+            const restoredFacetsRef = useRef(Boolean(savedView.facets));
+
+            useEffect(() => {
+                if (!restoredFacetsRef.current || pages.status !== "ready") return;
+                restoredFacetsRef.current = false;
+                setFacets((prev) => {
+                    const stale = GALLERY_FACETS.some(({ key }) => prev[key].some((value) => !facetValues[key].includes(value)));
+                    if (!stale) return prev;
+                    return GALLERY_FACETS.reduce(
+                        (next, { key }) => ({ ...next, [key]: prev[key].filter((value) => facetValues[key].includes(value)) }),
+                        prev,
+                    );
+                });
+            }, [pages.status, facetValues]);
+
+            // Infinite scroll: the next page is requested whenever the sentinel below the grid comes near the
+            // viewport. The loaded count is a dependency so the observer is recreated, and reports again,
+            // after each page - a sentinel that stays visible keeps loading. Failed pages wait for Retry.
+            const handleSentinel = useCallback(
+                ([entry]) => {
+                    if (entry.isIntersecting && pages.moreStatus === "idle") pages.loadMore();
+                },
+                [pages.loadMore, pages.moreStatus, loadedArtworks.length],
+            );
+            const sentinelRef = useIntersectionObserver(handleSentinel, GALLERY_SENTINEL_OPTIONS);
+
+            const windowed = useWindowedRows({ itemCount: loadedArtworks.length, layoutKey: viewMode });
+
+            // Arrow keys, Home and End move between cards, loading and mounting the target as needed
+            const handleGridKeyDown = (e) => {
+                const index = Number(e.target.dataset.index);
+                if (e.target.getAttribute("role") !== "article" || Number.isNaN(index)) return;
+                const steps = {
+                    ArrowRight: 1,
+                    ArrowLeft: -1,
+                    ArrowDown: windowed.columns,
+                    ArrowUp: -windowed.columns,
+                };
+                let target;
+                if (e.key in steps) target = index + steps[e.key];
+                else if (e.key === "Home") target = 0;
+                else if (e.key === "End") target = loadedArtworks.length - 1;
+                else return;
+                e.preventDefault();
+                if (target >= loadedArtworks.length && hasMore) {
+                    pages.loadMore();
+                } else if (target < 0 || target >= loadedArtworks.length) {
+                    return;
+                }
+                windowed.focusIndex(target);
+            };
+
+            // Filters and the open artwork live in the route: #gallery?category=Sculpture,Painting&q=van
+            // or #gallery/artwork/3, so both can be linked to directly. A bare #gallery (the nav link)
+            // keeps the current selection.
+            const route = useRoute();
+            const openedFromGalleryRef = useRef(false);
+            const lightboxId =
+                route.section === "gallery" && route.segments[0] === "artwork" ? Number(route.segments[1]) : null;
+
+            useEffect(() => {
+                if (route.section !== "gallery" || !Object.keys(route.params).length) return;
+                setFacets(readFacetParams(route.params));
+                setSortBy(gallerySorters[route.params.sort] ? route.params.sort : "featured");
+                setSearchTerm(route.params.q || "");
+            }, [route]);
+
+            // Routes written here always carry `sort`, so they are never mistaken for a bare #gallery
+            const galleryRoute = (changes = {}, segments = []) => ({
+                section: "gallery",
+                segments,
+                params: { ...writeFacetParams(facets), q: searchTerm, sort: sortBy, ...changes },
+            });
+
+            const toggleFacet = (key, value) => {
+                const selected = facets[key].includes(value)
+                    ? facets[key].filter((item) => item !== value)
+                    : [...facets[key], value];
+                const next = { ...facets, [key]: selected };
+                setFacets(next);
+                navigate(galleryRoute(writeFacetParams(next)));
+            };
+
+            const clearFacets = () => {
+                setFacets(emptyGalleryFacets());
+                navigate(galleryRoute(writeFacetParams(emptyGalleryFacets())));
+            };
+
+            const changeSort = (value) => {
+                setSortBy(value);
+                navigate(galleryRoute({ sort: value }), { replace: route.section === "gallery" });
+            };
+
+            // Keystrokes replace the current entry instead of filling the history
+            const changeSearchTerm = (value) => {
+                setSearchTerm(value);
+                navigate(galleryRoute({ q: value }), { replace: route.section === "gallery" });
+            };
+
+            const openLightbox = (artwork) => {
+                openedFromGalleryRef.current = true;
+                navigate(galleryRoute({}, ["artwork", String(artwork.id)]));
+            };
+
+            // Browsing inside the lightbox replaces the entry, so Back still closes it in one step
+            const navigateLightbox = (id) => navigate(galleryRoute({}, ["artwork", String(id)]), { replace: true });
+
+            const closeLightbox = () => {
+                if (openedFromGalleryRef.current) {
+                    openedFromGalleryRef.current = false;
+                    window.history.back();
+                } else {
+                    navigate(galleryRoute(), { replace: true });
+                }
+            };
+
+            // Browse the loaded results. A linked artwork that is not among them (filtered out, or on a
+            // page not loaded yet) is fetched from the source and shown on its own.
+            const loadedItems = useMemo(() => loadedArtworks.map((result) => result.item), [loadedArtworks]);
+            const [linkedArtwork, setLinkedArtwork] = useState(null);
+            const isLinkedLoaded = loadedItems.some((artwork) => artwork.id === lightboxId);
+
+            useEffect(() => {
+                if (lightboxId === null || isLinkedLoaded || pages.status === "loading") return;
+                let active = true;
+                artworkSource.get(lightboxId).then(
+                    (artwork) => active && setLinkedArtwork(artwork),
+                    (error) => console.error("Could not load the linked artwork:", error),
+                );
+                return () => {
+                    active = false;
+                };
+            }, [lightboxId, isLinkedLoaded, pages.status]);
+
+            const lightboxArtworks = isLinkedLoaded ? loadedItems : linkedArtwork ? [linkedArtwork] : [];
+            const lightboxIndex = lightboxArtworks.findIndex((artwork) => artwork.id === lightboxId);
+
+            // Optimized Gallery Card Component
+            const GalleryCard = useMemo(() => ({ artwork, index, setSize, onOpen, highlights = {} }) => {
+                const [ref, isLoaded] = useLazyLoad();
+                
+                return h(
+                    "div",
+                    {
+                        key: artwork.id,
+                        ref,
+                        className: `gallery-card gpu-layer ${isLoaded ? 'loaded' : 'lazy-load'}`,
+                        style: {
+                            animationDelay: `${index * 0.1}s`,
+                        },
+                        role: "article",
+                        "aria-labelledby": `artwork-title-${artwork.id}`,
+                        "aria-describedby": `artwork-desc-${artwork.id}`,
+                        "aria-haspopup": "dialog",
+                        "aria-posinset": index + 1,
+                        "aria-setsize": setSize,
+                        "data-index": index,
+                        tabIndex: 0,
+                        onClick: () => onOpen(artwork),
+                        onKeyDown: (e) => {
+                            if (e.key === "Enter" || e.key === " ") {
+                                e.preventDefault();
+                                onOpen(artwork);
+                            }
+                        },
+                    },
+                    h(
+                        "div",
+                        { className: "gallery-card-image" },
+                        h("img", {
+                            src: isLoaded ? artwork.image : 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjY2NjIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkxvYWRpbmcuLi48L3RleHQ+PC9zdmc+',
+                            alt: artwork.title,
+                            loading: "lazy",
+                            decoding: "async",
+                            style: isLoaded ? {} : { filter: 'blur(5px)' }
+                        }),
+                        h("div", { className: "gallery-card-badge" }, renderHighlighted(artwork.period, highlights.period)),
+                    ),
+                    h(
+                        "div",
+                        { className: "gallery-card-content" },
+                        h("h3", {
+                            className: "gallery-card-title",
+                            id: `artwork-title-${artwork.id}`
+                        }, renderHighlighted(artwork.title, highlights.title)),
+                        h("p", { className: "gallery-card-artist" }, renderHighlighted(artwork.artist, highlights.artist)),
+                        h("p", { className: "gallery-card-category" }, renderHighlighted(artwork.category, highlights.category)),
+                        h("p", {
+                            className: "gallery-card-desc",
+                            id: `artwork-desc-${artwork.id}`
+                        }, renderHighlighted(artwork.description, highlights.description)),
+                        h("div", { className: "gallery-card-collect" }, h(CollectButton, { item: collectionItemFrom.artwork(artwork) })),
+                    ),
+                );
+            }, []);
+
+            return h(
+                "section",
+                {
+                    id: "gallery",
+                    className: "section",
+                },
+                h(
+                    "div",
+                    { className: "container" },
+                    h(
+                        "div",
+                        { className: "text-center animate-fadeInUp" },
+                        h(
+                            "h2",
+                            { className: "section-title" },
+                            h(
+                                "span",
+                                {
+                                    style: {
+                                        background: "linear-gradient(to right, #ffffff, #a855f7)",
+                                        WebkitBackgroundClip: "text",
+                                        backgroundClip: "text",
+                                        color: "transparent",
+                                    },
+                                },
+                                "Art Evolution Gallery"
+                            )
+                        ),
+                        h(
+                            "p",
+                            { className: "section-description" },
+                            "Witness the transformation of artistic expression across civilizations"
+                        )
+                    ),
+                    h(
+                        "div",
+                        { className: "gallery-controls" },
+                        h(
+                            "div",
+                            { className: "search-container" },
+                            h(
+                                "svg",
+                                {
+                                    className: "search-icon",
+                                    width: "20",
+                                    height: "20",
+                                    viewBox: "0 0 24 24",
+                                    fill: "none",
+                                    stroke: "currentColor",
+                                    strokeWidth: "2",
+                                },
+                                h("circle", { cx: "11", cy: "11", r: "8" }),
+                                h("path", { d: "m21,21 -4.35,-4.35" }),
+                            ),
+                            h("input", {
+                                type: "text",
+                                placeholder: "Search artworks...",
+                                title: 'Matches titles, artists, periods, categories and descriptions. Narrow with category:Sculpture or period:"Bronze Age".',
+                                "aria-label": "Search artworks",
+                                className: "search-input",
+                                value: searchTerm,
+                                onChange: (e) => changeSearchTerm(e.target.value),
+                            }),
+                        ),
+                        h(
+                            "div",
+                            { className: "view-controls" },
+                            h(
+                                "button",
+                                {
+                                    className: `view-btn ${viewMode === "grid" ? "active" : ""}`,
+                                    onClick: () => setViewMode("grid"),
+                                },
+                                h(
+                                    "svg",
+                                    {
+                                        width: "16",
+                                        height: "16",
+                                        viewBox: "0 0 24 24",
+                                        fill: "none",
+                                        stroke: "currentColor",
+                                        strokeWidth: "2",
+                                    },
+                                    h("rect", { x: "3", y: "3", width: "7", height: "7" }),
+                                    h("rect", { x: "14", y: "3", width: "7", height: "7" }),
+                                    h("rect", { x: "14", y: "14", width: "7", height: "7" }),
+                                    h("rect", { x: "3", y: "14", width: "7", height: "7" }),
                                 ),
                             ),
+                            h(
+                                "button",
+                                {
+                                    className: `view-btn ${viewMode === "list" ? "active" : ""}`,
+                                    onClick: () => setViewMode("list"),
+                                },
+                                h(
+                                    "svg",
+                                    {
+                                        width: "16",
+                                        height: "16",
+                                        viewBox: "0 0 24 24",
+                                        fill: "none",
+                                        stroke: "currentColor",
+                                        strokeWidth: "2",
+                                    },
+                                    h("line", { x1: "8", y1: "6", x2: "21", y2: "6" }),
+                                    h("line", { x1: "8", y1: "12", x2: "21", y2: "12" }),
+                                    h("line", { x1: "8", y1: "18", x2: "21", y2: "18" }),
+                                    h("line", { x1: "3", y1: "6", x2: "3.01", y2: "6" }),
+                                    h("line", { x1: "3", y1: "12", x2: "3.01", y2: "12" }),
+                                    h("line", { x1: "3", y1: "18", x2: "3.01", y2: "18" }),
+                                ),
+                            ),
+                        ),
+                    ),
+                    h(
+                        "div",
+                        { className: "gallery-facets" },
+                        GALLERY_FACETS.map(({ key, label }) =>
+                            h(
+                                "div",
+                                { key, className: "gallery-facet", role: "group", "aria-label": `Filter by ${label.toLowerCase()}` },
+                                h("span", { className: "gallery-facet-label" }, label),
+                                h(
+                                    "div",
+                                    { className: "category-filters" },
+                                    facetValues[key].map((value) => {
+                                        const count = facetCounts[key][value] || 0;
+                                        const selected = facets[key].includes(value);
+                                        return h(
+                                            "button",
+                                            {
+                                                key: value,
+                                                type: "button",
+                                                className: `category-btn ${selected ? "active" : ""}`,
+                                                "aria-pressed": selected,
+                                                disabled: !selected && count === 0,
+                                                onClick: () => toggleFacet(key, value),
+                                            },
+                                            value,
+                                            h("span", { className: "facet-count" }, count),
+                                        );
+                                    }),
+                                ),
+                            ),
+                        ),
+                        h(
+                            "div",
+                            { className: "gallery-facet-toolbar" },
+                            h(
+                                "span",
+                                { className: "gallery-result-count", role: "status" },
+                                pages.status === "ready"
+                                    ? `${pages.total} of ${pages.catalogueSize} artworks`
+                                    : pages.status === "error"
+                                      ? "Artworks unavailable"
+                                      : "Loading artworks...",
+                            ),
+                            hasActiveFacets &&
+                                h("button", { type: "button", className: "preset-btn", onClick: clearFacets }, "Clear filters"),
+                            h(
+                                "label",
+                                { className: "gallery-sort" },
+                                "Sort by",
+                                h(
+                                    "select",
+                                    {
+                                        className: "dimension-input style-select",
+                                        value: sortBy,
+                                        onChange: (e) => changeSort(e.target.value),
+                                    },
+                                    GALLERY_SORTS.map((sort) => h("option", { key: sort.id, value: sort.id }, sort.label)),
+                                ),
+                            ),
+                        ),
+                    ),
+                    (pages.status === "error" || (pages.status === "loading" && loadedArtworks.length === 0)) &&
+                        h(ContentState, { content: pages }),
+                    pages.status === "ready" &&
+                        pages.catalogueSize === 0 &&
+                        h(ContentState, { content: pages, emptyMessage: "The gallery is empty for now." }),
+                    h(
+                        "div",
+                        {
+                            ref: windowed.containerRef,
+                            className: `gallery-grid ${viewMode === 'list' ? 'gallery-list' : ''}`,
+                            style: {
+                                ...(viewMode === 'list' ? { display: 'flex', flexDirection: 'column', gap: '1rem' } : {}),
+                                paddingTop: windowed.paddingTop,
+                                paddingBottom: windowed.paddingBottom,
+                            },
+                            role: "feed",
+                            "aria-label": "Artworks",
+                            "aria-busy": isBusy,
+                            onKeyDown: handleGridKeyDown,
+                        },
+                        loadedArtworks.slice(windowed.startIndex, windowed.endIndex).map(({ item: artwork, highlights }, offset) =>
+                            h(GalleryCard, {
+                                key: artwork.id,
+                                artwork,
+                                index: windowed.startIndex + offset,
+                                setSize: pages.total,
+                                highlights,
+                                onOpen: openLightbox
+                            })
+                        ),
+                    ),
+                    h("div", { ref: sentinelRef, className: "gallery-sentinel", "aria-hidden": true }),
+                    pages.moreStatus === "error"
+                        ? h(
+                              "div",
+                              { className: "gallery-load-status", role: "alert" },
+                              h("p", null, "More artworks could not be loaded."),
+                              h("button", { type: "button", className: "action-btn", onClick: pages.loadMore }, "Retry"),
+                          )
+                        : hasMore &&
+                          h(
+                              "p",
+                              { className: "gallery-load-status" },
+                              pages.moreStatus === "loading"
+                                  ? "Loading more artworks..."
+                                  : `Showing ${loadedArtworks.length} of ${pages.total} · scroll for more`,
+                          ),
+                    pages.status === "ready" &&
+                    pages.catalogueSize > 0 &&
+                    pages.total === 0 &&
+                        h(
+                            "div",
+                            {
+                                className: "text-center",
+                                style: { padding: "4rem 0" },
+                            },
+                            h(
+                                "p",
+                                {
+                                    style: { fontSize: "1.25rem", color: "#9ca3af" },
+                                },
+                                "No artworks found matching your criteria.",
+                            ),
+                        ),
+                ),
+                lightboxIndex !== -1 &&
+                    h(ArtworkLightbox, {
+                        artworks: lightboxArtworks,
+                        index: lightboxIndex,
+                        onNavigate: navigateLightbox,
+                        onClose: closeLightbox,
+                    }),
+            );
+        };
+
+        const lowerFirst = (text) => text.charAt(0).toLowerCase() + text.slice(1);
+
+        // Builds a fashion prompt from one era, or from two eras where `weight` (0-1) is the share of the first.
+        // Each era contributes a number of its key features proportional to its share.
+        const buildFashionEraPrompt = (primary, secondary = null, weight = 1) => {
+            const features = (era, share) =>
+                era.keyFeatures.slice(0, Math.max(1, Math.round(share * era.keyFeatures.length))).map(lowerFirst);
+
+            if (!secondary || weight >= 1) {
+                return `outfit inspired by ${primary.era} fashion (${primary.period}), featuring ${features(primary, 1).join(", ")}`;
+            }
+            if (weight <= 0) return buildFashionEraPrompt(secondary);
+
+            const primaryShare = Math.round(weight * 100);
+            return [
+                `outfit blending ${primaryShare}% ${primary.era} with ${100 - primaryShare}% ${secondary.era} fashion`,
+                `featuring ${features(primary, weight).join(", ")}`,
+                `with touches of ${features(secondary, 1 - weight).join(", ")}`,
+            ].join(", ");
+        };
+
+        const findFashionEra = (eras, eraId) => eras.find((era) => era.id === eraId) || null;
+
+        // Prompt for an era blend picked in the fashion generator; empty until a first era is chosen
+        const buildEraBlendPrompt = (eras, blend) => {
+            const primary = findFashionEra(eras, blend.primary);
+            return primary ? buildFashionEraPrompt(primary, findFashionEra(eras, blend.secondary), blend.weight) : "";
+        };
+
+        // Fashion Evolution Component
+        const FashionEvolution = ({ onDesignInEra }) => {
+            const [currentEra, setCurrentEra] = useState(0);
+            const fashionContent = useContent("fashionEras");
+            const fashionEras = fashionContent.items;
+            const era = fashionEras[Math.min(currentEra, fashionEras.length - 1)];
+            const route = useRoute();
+
+            // #fashion/<era id> selects an era
+            useEffect(() => {
+                if (route.section !== "fashion" || !route.segments[0]) return;
+                const index = fashionEras.findIndex((item) => item.id === route.segments[0]);
+                if (index !== -1) setCurrentEra(index);
+            }, [route, fashionEras]);
+
+            const selectEra = (index) => {
+                setCurrentEra(index);
+                navigate({ section: "fashion", segments: [fashionEras[index].id] });
+            };
+
+            const nextEra = () => {
+                selectEra((currentEra + 1) % fashionEras.length);
+            };
+
+            const prevEra = () => {
+                selectEra((currentEra - 1 + fashionEras.length) % fashionEras.length);
+            };
+
+            return h(
+                "section",
+                {
+                    id: "fashion",
+                    className: "section fashion-section",
+                },
+                h(
+                    "div",
+                    { className: "container" },
+                    h(
+                        "div",
+                        { className: "text-center animate-fadeInUp" },
+                        h(
+                            "h2",
+                            { className: "section-title" },
+                            h(
+                                "span",
+                                {
+                                    style: {
+                                        background: "linear-gradient(to right, #ffffff, #ec4899)",
+                                        WebkitBackgroundClip: "text",
+                                        backgroundClip: "text",
+                                        color: "transparent",
+                                    },
+                                },
+                                "Fashion Through Time"
+                            )
+                        ),
+                        h(
+                            "p",
+                            { className: "section-description" },
+                            "Discover how clothing and style have evolved to reflect culture, technology, and human expression"
+                        )
+                    ),
+                    isContentEmpty(fashionContent) &&
+                        h(ContentState, { content: fashionContent, emptyMessage: "No fashion eras have been published yet." }),
+                    !isContentEmpty(fashionContent) &&
+                    h(
+                        "div",
+                        { className: "fashion-container" },
+                        h(
+                            "div",
+                            { className: "fashion-display animate-slideInLeft" },
+                            h(
+                                "div",
+                                { className: "fashion-card" },
+                                h(
+                                    "div",
+                                    { className: "fashion-image-container" },
+                                    h("img", {
+                                        src: era.image,
+                                        alt: era.era,
+                                        className: "fashion-image",
+                                    }),
+                                    h("div", { className: "fashion-overlay" }),
+                                    h(
+                                        "div",
+                                        { className: "fashion-title-overlay" },
+                                        h(
+                                            "div",
+                                            {
+                                                className: "timeline-badge",
+                                                style: { background: "linear-gradient(to right, #7c3aed, #ec4899)" },
+                                            },
+                                            era.period,
+                                        ),
+                                        h("h3", { className: "fashion-era-title" }, era.era),
+                                    ),
+                                ),
+                            ),
+                            h(
+                                "div",
+                                { className: "fashion-controls" },
+                                h(
+                                    "button",
+                                    {
+                                        className: "fashion-nav-btn",
+                                        onClick: prevEra,
+                                    },
+                                    h(
+                                        "svg",
+                                        {
+                                            width: "16",
+                                            height: "16",
+                                            viewBox: "0 0 24 24",
+                                            fill: "none",
+                                            stroke: "currentColor",
+                                            strokeWidth: "2",
+                                        },
+                                        h("path", { d: "m15,18 -6,-6 6,-6" }),
+                                    ),
+                                    "Previous",
+                                ),
+                                h(
+                                    "div",
+                                    { className: "fashion-dots" },
+                                    fashionEras.map((_, index) =>
+                                        h("button", {
+                                            key: index,
+                                            className: `fashion-dot ${index === currentEra ? "active" : ""}`,
+                                            onClick: () => selectEra(index),
+                                        }),
+                                    ),
+                                ),
+                                h(
+                                    "button",
+                                    {
+                                        className: "fashion-nav-btn",
+                                        onClick: nextEra,
+                                    },
+                                    "Next",
+                                    h(
+                                        "svg",
+                                        {
+                                            width: "16",
+                                            height: "16",
+                                            viewBox: "0 0 24 24",
+                                            fill: "none",
+                                            stroke: "currentColor",
+                                            strokeWidth: "2",
+                                        },
+                                        h("path", { d: "m9,18 6,-6 -6,-6" }),
+                                    ),
+                                ),
+                            ),
+                        ),
+                        h(
+                            "div",
+                            { className: "fashion-info animate-slideInRight" },
+                            h(
+                                "div",
+                                { className: "fashion-era-info" },
+                                h("h3", null, era.era),
+                                h("p", null, era.description),
+                            ),
+                            h(
+                                "div",
+                                { className: "fashion-features" },
+                                h(
+                                    "h4",
+                                    null,
+                                    h(
+                                        "svg",
+                                        {
+                                            width: "20",
+                                            height: "20",
+                                            viewBox: "0 0 24 24",
+                                            fill: "none",
+                                            stroke: "currentColor",
+                                            strokeWidth: "2",
+                                            style: { color: "#ec4899" },
+                                        },
+                                        h("path", {
+                                            d: "m12,3 -1.912,5.813a2,2 0 0,1 -1.275,1.275L3,12l5.813,1.912a2,2 0 0,1 1.275,1.275L12,21l1.912,-5.813a2,2 0 0,1 1.275,-1.275L21,12l-5.813,-1.912a2,2 0 0,1 -1.275,-1.275L12,3Z",
+                                        }),
+                                    ),
+                                    "Key Features",
+                                ),
+                                h(
+                                    "div",
+                                    { className: "fashion-features-grid" },
+                                    era.keyFeatures.map((feature, index) =>
+                                        h(
+                                            "div",
+                                            {
+                                                key: feature,
+                                                className: "fashion-feature",
+                                                style: { animationDelay: `${index * 0.1}s` },
+                                            },
+                                            feature,
+                                        ),
+                                    ),
+                                ),
+                            ),
+                            h(
+                                "div",
+                                { className: "fashion-influence" },
+                                h("h4", null, "Modern Influence"),
+                                h("p", null, era.modernInfluence),
+                            ),
+                            h(
+                                "button",
+                                {
+                                    type: "button",
+                                    className: "hero-button fashion-design-btn",
+                                    onClick: () => onDesignInEra(era.id),
+                                },
+                                "Design in this era",
+                            ),
+                        ),
+                    ),
+                ),
+            );
+        };
+
+        // Image generation providers
+        // Each provider exposes the same shape so the generators never build backend URLs themselves:
+        //   id, name, models, sizes, capabilities ({ seed, negativePrompt, imageToImage, inpainting })
+        //   buildRequest({ prompt, negativePrompt, width, height, model, seed, referenceImage, strength, inpaint })
+        //     -> { url, init }, where `inpaint` is { image, mask } as PNG blobs
+        //   fetchResult(request, { signal }) -> Promise<{ url, blob }>, where `url` is a lasting address for the
+        //     image or null when the backend has none; previews always show the fetched blob
+        //   describeError(error) -> message suitable for the toast
+        const dimensionPresets = [
+            { name: "Square", width: 512, height: 512 },
+            { name: "Portrait", width: 512, height: 768 },
+            { name: "Landscape", width: 768, height: 512 },
+            { name: "Wide", width: 1024, height: 576 },
+            { name: "Ultra Wide", width: 1152, height: 512 },
+        ];
+
+        // How strongly a reference image shapes the result: 0 keeps only the prompt, 1 stays close to the picture
+        const DEFAULT_REFERENCE_STRENGTH = 0.6;
+
+        const createProviderError = (code, message, details = {}) => {
+            const error = new Error(message);
+            error.name = "ProviderError";
+            error.code = code;
+            Object.assign(error, details);
+            return error;
+        };
+
+        // Shared by providers that answer a plain HTTP request with image bytes
+        const fetchImageBlob = async (request, { signal, providerName }) => {
+            let response;
+            try {
+                response = await fetch(request.url, { ...request.init, signal });
+            } catch (error) {
+                if (error.name === "AbortError") throw error;
+                throw createProviderError("network", `Could not reach ${providerName}`, { cause: error });
+            }
+
+            if (!response.ok) {
+                throw createProviderError("http", `${providerName} responded with ${response.status}`, {
+                    status: response.status,
+                });
+            }
+
+            const blob = await response.blob();
+            if (blob.type && !blob.type.startsWith("image/")) {
+                throw createProviderError("invalid-response", `${providerName} did not return an image`);
+            }
+            return blob;
+        };
+
+        const describeProviderError = (error, providerName) => {
+            if (error.name === "AbortError") return "Generation cancelled";
+            switch (error.code) {
+                case "network":
+                    return `Could not reach ${providerName}. Check your connection and try again.`;
+                case "http":
+                    return error.status === 429
+                        ? `${providerName} is busy right now. Please retry in a moment.`
+                        : `${providerName} failed to generate the image (HTTP ${error.status}).`;
+                case "invalid-response":
+                    return `${providerName} returned something that is not an image.`;
+                default:
+                    return error.message || "Image generation failed";
+            }
+        };
+
+        const createPollinationsProvider = ({ baseUrl = "https://image.pollinations.ai/prompt" } = {}) => ({
+            id: "pollinations",
+            name: "Pollinations",
+            models: [
+                { id: "flux", name: "Flux", description: "Standard quality" },
+                { id: "turbo", name: "Turbo", description: "High speed" },
+            ],
+            sizes: dimensionPresets,
+            capabilities: { seed: true, negativePrompt: false, imageToImage: false, inpainting: false },
+            buildRequest: ({ prompt, negativePrompt, width, height, model, seed }) => {
+                const params = new URLSearchParams({ width, height, nologo: "true", model });
+                if (seed !== undefined && seed !== null) params.set("seed", seed);
+                // No separate negative prompt parameter, so it is folded into the text
+                const text = negativePrompt ? `${prompt}. Avoid: ${negativePrompt}` : prompt;
+                return {
+                    url: `${baseUrl}/${encodeURIComponent(text)}?${params}`,
+                    init: { method: "GET" },
+                };
+            },
+            fetchResult: async (request, { signal } = {}) => {
+                const blob = await fetchImageBlob(request, { signal, providerName: "Pollinations" });
+                // The request URL is stable and cacheable, so history keeps it next to the blob
+                return { url: request.url, blob };
+            },
+            describeError: (error) => describeProviderError(error, "Pollinations"),
+        });
+
+        // Stand-in for offline work: any server that answers GET <endpoint>?prompt=... with image bytes.
+        // With a reference image the same fields are POSTed as multipart form data, plus `image` (the
+        // uploaded file) or `image_url` (a gallery or timeline picture) and `strength`. Inpainting POSTs
+        // `image` and `mask` instead; white mask pixels are regenerated, black ones kept.
+        const createLocalProvider = ({ endpoint = "http://localhost:8000/generate" } = {}) => ({
+            id: "local",
+            name: "Local",
+            models: [{ id: "default", name: "Default", description: "Local checkpoint" }],
+            sizes: dimensionPresets,
+            capabilities: { seed: true, negativePrompt: true, imageToImage: true, inpainting: true },
+            buildRequest: ({ prompt, negativePrompt, width, height, model, seed, referenceImage, strength, inpaint }) => {
+                const params = new URLSearchParams({ prompt, width, height, model });
+                if (seed !== undefined && seed !== null) params.set("seed", seed);
+                if (negativePrompt) params.set("negative_prompt", negativePrompt);
+                if (!referenceImage && !inpaint) {
+                    return {
+                        url: `${endpoint}?${params}`,
+                        init: { method: "GET" },
+                    };
+                }
+
+                const body = new FormData();
+                params.forEach((value, key) => body.append(key, value));
+                if (inpaint) {
+                    body.append("image", inpaint.image, "image.png");
+                    body.append("mask", inpaint.mask, "mask.png");
+                } else {
+                    if (referenceImage.blob) body.append("image", referenceImage.blob, referenceImage.name);
+                    else body.append("image_url", referenceImage.url);
+                    body.append("strength", String(Number.isFinite(strength) ? strength : DEFAULT_REFERENCE_STRENGTH));
+                }
+                return {
+                    url: endpoint,
+                    init: { method: "POST", body },
+                };
+            },
+            fetchResult: async (request, { signal } = {}) => {
+                const blob = await fetchImageBlob(request, { signal, providerName: "the local provider" });
+                return { url: null, blob };
+            },
+            describeError: (error) => describeProviderError(error, "the local provider"),
+        });
+
+        // In-process stand-in for trying the generators (inpainting and reference images included) without any
+        // backend. Text-to-image requests get the same one-pixel PNG after a short delay. Inpaint requests come
+        // back as the sent image with the masked pixels painted in that PNG's colour, so what changed is easy to
+        // see; requests missing their image or mask are rejected the way a real server would.
+        const STAND_IN_IMAGE_BASE64 = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGNYEfodAAOdAfW0SNhzAAAAAElFTkSuQmCC";
+        const STAND_IN_COLOR = [168, 85, 247];
+
+        // Pixels as { width, height, data } (RGBA, like ImageData) in and out of image blobs
+        const canvasImageCodec = {
+            decode: async (blob) => {
+                const url = URL.createObjectURL(blob);
+                try {
+                    const image = await loadEditableImage(url);
+                    const canvas = document.createElement("canvas");
+                    canvas.width = image.naturalWidth;
+                    canvas.height = image.naturalHeight;
+                    const context = canvas.getContext("2d");
+                    context.drawImage(image, 0, 0);
+                    return context.getImageData(0, 0, canvas.width, canvas.height);
+                } finally {
+                    URL.revokeObjectURL(url);
+                }
+            },
+            encode: ({ width, height, data }) => {
+                const canvas = document.createElement("canvas");
+                canvas.width = width;
+                canvas.height = height;
+                const context = canvas.getContext("2d");
+                const imageData = context.createImageData(width, height);
+                imageData.data.set(data);
+                context.putImageData(imageData, 0, 0);
+                return canvasToBlob(canvas, "image/png");
+            },
+        };
+
+        // White mask pixels (see renderInpaintMask) take `color`; every other pixel is copied unchanged
+        const paintMaskedPixels = (image, mask, color) => {
+            const data = new Uint8ClampedArray(image.data);
+            for (let index = 0; index < data.length; index += 4) {
+                if (mask.data[index] < 128) continue;
+                data[index] = color[0];
+                data[index + 1] = color[1];
+                data[index + 2] = color[2];
+            }
+            return { width: image.width, height: image.height, data };
+        };
+
+        const createStandInProvider = ({ latencyMs = 400, codec = canvasImageCodec } = {}) => ({
+            id: "stand-in",
+            name: "Stand-in",
+            models: [{ id: "fixed", name: "Fixed", description: "Same picture every time" }],
+            sizes: dimensionPresets,
+            capabilities: { seed: true, negativePrompt: true, imageToImage: true, inpainting: true },
+            buildRequest: (params) => ({
+                url: `data:image/png;base64,${STAND_IN_IMAGE_BASE64}`,
+                init: { method: "GET" },
+                params,
+            }),
+            fetchResult: async (request, { signal } = {}) => {
+                await new Promise((resolve, reject) => {
+                    const abort = () => {
+                        clearTimeout(timer);
+                        reject(new DOMException("Generation cancelled", "AbortError"));
+                    };
+                    const timer = setTimeout(() => {
+                        if (signal) signal.removeEventListener("abort", abort);
+                        resolve();
+                    }, latencyMs);
+                    if (signal) signal.addEventListener("abort", abort, { once: true });
+                });
+
+                const { inpaint } = request.params;
+                if (!inpaint) {
+                    const bytes = Uint8Array.from(window.atob(STAND_IN_IMAGE_BASE64), (char) => char.charCodeAt(0));
+                    return { url: null, blob: new Blob([bytes], { type: "image/png" }) };
+                }
+                if (!(inpaint.image instanceof Blob && inpaint.mask instanceof Blob)) {
+                    throw createProviderError("invalid-request", "Inpainting needs both the image and the mask");
+                }
+                const [image, mask] = await Promise.all([codec.decode(inpaint.image), codec.decode(inpaint.mask)]);
+                if (image.width !== mask.width || image.height !== mask.height) {
+                    throw createProviderError("invalid-request", "The mask does not match the image size");
+                }
+                return { url: null, blob: await codec.encode(paintMaskedPixels(image, mask, STAND_IN_COLOR)) };
+            },
+            describeError: (error) => describeProviderError(error, "the stand-in provider"),
+        });
+
+        const imageProviderFactories = {
+            pollinations: () => createPollinationsProvider(),
+            local: (settings) => createLocalProvider({ endpoint: settings.localEndpoint }),
+            "stand-in": () => createStandInProvider(),
+        };
+
+        const PROVIDER_SETTINGS_KEY = "pictalens:provider-settings";
+
+        const defaultProviderSettings = {
+            providerId: "pollinations",
+            localEndpoint: "http://localhost:8000/generate",
+        };
+
+        const createImageProvider = (settings) => {
+            const factory = imageProviderFactories[settings.providerId] || imageProviderFactories.pollinations;
+            return factory(settings);
+        };
+
+        // Active provider plus its persisted settings, shared by the art and fashion generators
+        const useImageProvider = () => {
+            const [settings, setSettings] = useState(() => ({
+                ...defaultProviderSettings,
+                ...readStoredJson(PROVIDER_SETTINGS_KEY, {}),
+            }));
+
+            const updateSettings = useCallback((changes) => {
+                setSettings((prev) => {
+                    const next = { ...prev, ...changes };
+                    writeStoredJson(PROVIDER_SETTINGS_KEY, next);
+                    return next;
+                });
+            }, []);
+
+            const provider = useMemo(() => createImageProvider(settings), [settings]);
+
+            return [provider, settings, updateSettings];
+        };
+
+        // Generation lifecycle: idle -> queued -> loading -> succeeded | failed | timedOut | cancelled
+        const GENERATION_TIMEOUT_MS = 90000;
+        const ACTIVE_GENERATION_STATUSES = ["queued", "loading"];
+
+        const useGenerationTask = (provider, { timeoutMs = GENERATION_TIMEOUT_MS } = {}) => {
+            const [task, setTask] = useState({ status: "idle", params: null, result: null, error: null, message: "" });
+            const controllerRef = useRef(null);
+
+            // Abort whatever is still running when the generator unmounts
+            useEffect(() => () => controllerRef.current && controllerRef.current.abort(), []);
+
+            // `params` are what the form holds (and what a retry reuses); `prepare` turns them into provider input
+            const run = useCallback(
+                async (params, { prepare = (value) => value } = {}) => {
+                    if (controllerRef.current) controllerRef.current.abort();
+                    const controller = new AbortController();
+                    controllerRef.current = controller;
+                    setTask({ status: "queued", params, result: null, error: null, message: "" });
+
+                    let timedOut = false;
+                    const timer = setTimeout(() => {
+                        timedOut = true;
+                        controller.abort();
+                    }, timeoutMs);
+
+                    try {
+                        // Give an immediately following cancel() a chance before the request goes out
+                        await new Promise((resolve) => setTimeout(resolve, 0));
+                        if (controller.signal.aborted) throw new DOMException("Generation cancelled", "AbortError");
+
+                        const request = provider.buildRequest(prepare(params));
+                        setTask((prev) => ({ ...prev, status: "loading" }));
+                        const result = await provider.fetchResult(request, { signal: controller.signal });
+
+                        const outcome = { status: "succeeded", params, result, error: null, message: "" };
+                        if (controllerRef.current === controller) setTask(outcome);
+                        return outcome;
+                    } catch (error) {
+                        const status = timedOut ? "timedOut" : error.name === "AbortError" ? "cancelled" : "failed";
+                        const message =
+                            status === "timedOut"
+                                ? `${provider.name} did not respond within ${Math.round(timeoutMs / 1000)} seconds.`
+                                : provider.describeError(error);
+                        if (status !== "cancelled") console.error("Error generating image:", error);
+
+                        const outcome = { status, params, result: null, error, message };
+                        if (controllerRef.current === controller) setTask(outcome);
+                        return outcome;
+                    } finally {
+                        clearTimeout(timer);
+                        if (controllerRef.current === controller) controllerRef.current = null;
+                    }
+                },
+                [provider, timeoutMs],
+            );
+
+            const cancel = useCallback(() => {
+                if (controllerRef.current) controllerRef.current.abort();
+            }, []);
+
+            return {
+                ...task,
+                isActive: ACTIVE_GENERATION_STATUSES.includes(task.status),
+                run,
+                cancel,
+            };
+        };
+
+        // Runs several generations side by side, at most `concurrency` in flight; the rest wait as "queued"
+        const useGenerationBatch = (provider, { concurrency = 3, timeoutMs = GENERATION_TIMEOUT_MS } = {}) => {
+            const [tiles, setTiles] = useState([]);
+            const controllerRef = useRef(null);
+            // Object URLs of the tile previews, released whenever the tiles are replaced
+            const previewUrlsRef = useRef([]);
+
+            const releasePreviews = () => {
+                previewUrlsRef.current.forEach((url) => URL.revokeObjectURL(url));
+                previewUrlsRef.current = [];
+            };
+
+            useEffect(
+                () => () => {
+                    if (controllerRef.current) controllerRef.current.abort();
+                    releasePreviews();
+                },
+                [],
+            );
+
+            const updateTile = (id, changes) =>
+                setTiles((prev) => prev.map((tile) => (tile.id === id ? { ...tile, ...changes } : tile)));
+
+            const runTile = async (tile, controller, prepare) => {
+                if (controller.signal.aborted) {
+                    updateTile(tile.id, { status: "cancelled" });
+                    return;
+                }
+                updateTile(tile.id, { status: "loading" });
+
+                let timedOut = false;
+                const tileController = new AbortController();
+                const abortTile = () => tileController.abort();
+                controller.signal.addEventListener("abort", abortTile);
+                const timer = setTimeout(() => {
+                    timedOut = true;
+                    tileController.abort();
+                }, timeoutMs);
+
+                try {
+                    const result = await provider.fetchResult(provider.buildRequest(prepare(tile.params)), {
+                        signal: tileController.signal,
+                    });
+                    const previewUrl = URL.createObjectURL(result.blob);
+                    previewUrlsRef.current.push(previewUrl);
+                    updateTile(tile.id, { status: "succeeded", result, previewUrl, createdAt: new Date().toISOString() });
+                } catch (error) {
+                    const status = timedOut ? "timedOut" : error.name === "AbortError" ? "cancelled" : "failed";
+                    const message = status === "timedOut" ? `${provider.name} timed out` : provider.describeError(error);
+                    if (status !== "cancelled") console.error("Error generating variation:", error);
+                    updateTile(tile.id, { status, message });
+                } finally {
+                    clearTimeout(timer);
+                    controller.signal.removeEventListener("abort", abortTile);
+                }
+            };
+
+            const run = useCallback(
+                async (paramsList, { prepare = (value) => value } = {}) => {
+                    if (controllerRef.current) controllerRef.current.abort();
+                    const controller = new AbortController();
+                    controllerRef.current = controller;
+
+                    const queue = paramsList.map((params) => ({ id: createId(), params, status: "queued", result: null, message: "" }));
+                    releasePreviews();
+                    setTiles(queue);
+
+                    const pending = [...queue];
+                    const worker = async () => {
+                        while (pending.length) {
+                            await runTile(pending.shift(), controller, prepare);
+                        }
+                    };
+                    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+                    if (controllerRef.current === controller) controllerRef.current = null;
+                },
+                [provider, concurrency, timeoutMs],
+            );
+
+            const cancel = useCallback(() => {
+                if (controllerRef.current) controllerRef.current.abort();
+            }, []);
+
+            const clear = useCallback(() => {
+                cancel();
+                releasePreviews();
+                setTiles([]);
+            }, [cancel]);
+
+            return {
+                tiles,
+                isActive: tiles.some((tile) => ACTIVE_GENERATION_STATUSES.includes(tile.status)),
+                run,
+                cancel,
+                clear,
+            };
+        };
+
+        // Image shown in a generator preview. Blobs get an object URL owned by the preview and released when
+        // the next image replaces it, so nothing else (history, variation tiles) can revoke what is on screen.
+        const usePreviewImage = (initialSource) => {
+            const [src, setSrc] = useState(initialSource);
+            const ownedUrlRef = useRef(null);
+
+            const show = useCallback((source) => {
+                const url = source instanceof Blob ? URL.createObjectURL(source) : source;
+                if (ownedUrlRef.current) URL.revokeObjectURL(ownedUrlRef.current);
+                ownedUrlRef.current = source instanceof Blob ? url : null;
+                setSrc(url);
+            }, []);
+
+            useEffect(() => () => ownedUrlRef.current && URL.revokeObjectURL(ownedUrlRef.current), []);
+
+            return [src, show];
+        };
+
+        // Variation sets for one prompt: every tile differs by seed, or cycles through the provider's
+        // models or sizes while keeping the base seed so the difference is down to that one setting
+        const VARIATION_COUNTS = [4, 9];
+        const VARIATION_AXES = [
+            { id: "seed", name: "Seeds" },
+            { id: "model", name: "Models" },
+            { id: "size", name: "Sizes" },
+        ];
+
+        const buildVariationParams = (base, { count, axis, provider }) =>
+            Array.from({ length: count }, (_, index) => {
+                if (axis === "model") {
+                    const option = provider.models[index % provider.models.length];
+                    return { ...base, model: option.id, seed: index < provider.models.length ? base.seed : randomSeed() };
+                }
+                if (axis === "size") {
+                    const size = provider.sizes[index % provider.sizes.length];
+                    return {
+                        ...base,
+                        width: size.width,
+                        height: size.height,
+                        seed: index < provider.sizes.length ? base.seed : randomSeed(),
+                    };
+                }
+                return { ...base, seed: index === 0 ? base.seed : randomSeed() };
+            });
+
+        // Tile caption naming the setting that varies across the batch
+        const describeVariation = (params, axis, provider) => {
+            if (axis === "model") {
+                const option = provider.models.find((item) => item.id === params.model);
+                return option ? option.name : params.model;
+            }
+            if (axis === "size") return `${params.width}×${params.height}`;
+            return `Seed ${params.seed}`;
+        };
+
+        // Generation history persistence
+        // Every art and fashion run is stored locally (IndexedDB, or localStorage with images inlined as data URLs)
+        // and optionally mirrored through a remote sync adapter: { name, push(record), remove(id) }.
+        const HISTORY_LIMIT = 200;
+        const HISTORY_FALLBACK_KEY = "pictalens:generation-history";
+        const HISTORY_SYNC_KEY = "pictalens:history-sync";
+
+        const createIndexedDbBackend = ({ dbName = "pictalens", storeName = "generations" } = {}) => {
+            let dbPromise = null;
+
+            const open = () => {
+                if (!dbPromise) {
+                    dbPromise = new Promise((resolve, reject) => {
+                        const request = window.indexedDB.open(dbName, 1);
+                        request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath: "id" });
+                        request.onsuccess = () => resolve(request.result);
+                        request.onerror = () => reject(request.error);
+                    });
+                }
+                return dbPromise;
+            };
+
+            const run = async (mode, operation) => {
+                const db = await open();
+                return new Promise((resolve, reject) => {
+                    const transaction = db.transaction(storeName, mode);
+                    const request = operation(transaction.objectStore(storeName));
+                    transaction.oncomplete = () => resolve(request.result);
+                    transaction.onerror = () => reject(transaction.error);
+                    transaction.onabort = () => reject(transaction.error);
+                });
+            };
+
+            return {
+                name: "indexeddb",
+                open,
+                getAll: () => run("readonly", (store) => store.getAll()),
+                put: (record) => run("readwrite", (store) => store.put(record)),
+                delete: (id) => run("readwrite", (store) => store.delete(id)),
+                clear: () => run("readwrite", (store) => store.clear()),
+            };
+        };
+
+        const blobToDataUrl = (blob) =>
+            new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+
+        // Blobs cannot be serialised into localStorage, so images without a lasting URL (local provider
+        // results) are inlined as data URLs; once those no longer fit, the record is kept without its image
+        const createLocalStorageBackend = ({ key = HISTORY_FALLBACK_KEY } = {}) => {
+            const read = () => readStoredJson(key, []);
+            const write = (records) => writeStoredJson(key, records);
+
+            return {
+                name: "localstorage",
+                open: async () => null,
+                getAll: async () => read(),
+                put: async (record) => {
+                    const { imageBlob, ...storable } = record;
+                    const others = read().filter((item) => item.id !== record.id);
+                    if (!storable.imageUrl && imageBlob) {
+                        try {
+                            const inlined = { ...storable, imageUrl: await blobToDataUrl(imageBlob) };
+                            window.localStorage.setItem(key, JSON.stringify([inlined, ...others]));
+                            return;
+                        } catch (error) {
+                            console.warn("History image does not fit in storage:", error);
+                        }
+                    }
+                    write([storable, ...others]);
+                },
+                delete: async (id) => write(read().filter((item) => item.id !== id)),
+                clear: async () => write([]),
+            };
+        };
+
+        const createHistoryBackend = async () => {
+            if ("indexedDB" in window) {
+                const backend = createIndexedDbBackend();
+                try {
+                    await backend.open();
+                    return backend;
+                } catch (error) {
+                    console.warn("IndexedDB unavailable, falling back to localStorage:", error);
+                }
+            }
+            return createLocalStorageBackend();
+        };
+
+        const noopHistorySync = {
+            name: "none",
+            push: async () => {},
+            remove: async () => {},
+        };
+
+        // Stand-in for a Firebase-like backend: same async contract, records kept under a separate key
+        const createMockRemoteHistorySync = ({ key = "pictalens:mock-remote-history", latencyMs = 300 } = {}) => {
+            const delay = () => new Promise((resolve) => setTimeout(resolve, latencyMs));
+            return {
+                name: "mock-remote",
+                push: async (record) => {
+                    await delay();
+                    const remote = readStoredJson(key, {});
+                    remote[record.id] = { ...record, syncedAt: new Date().toISOString() };
+                    writeStoredJson(key, remote);
+                },
+                remove: async (id) => {
+                    await delay();
+                    const remote = readStoredJson(key, {});
+                    delete remote[id];
+                    writeStoredJson(key, remote);
+                },
+            };
+        };
+
+        const historySyncAdapters = {
+            none: () => noopHistorySync,
+            "mock-remote": () => createMockRemoteHistorySync(),
+        };
+
+        const createGenerationHistory = ({ backendPromise, syncAdapter = noopHistorySync, limit = HISTORY_LIMIT }) => {
+            let records = [];
+            let loadPromise = null;
+            const listeners = new Set();
+
+            const notify = () => listeners.forEach((listener) => listener(records));
+
+            const load = () => {
+                if (!loadPromise) {
+                    loadPromise = backendPromise
+                        .then((backend) => backend.getAll())
+                        .then((stored) => {
+                            records = stored.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+                            notify();
+                            return records;
+                        })
+                        .catch((error) => {
+                            // A failed load is not cached, so the next call tries the backend again
+                            loadPromise = null;
+                            throw error;
+                        });
+                }
+                return loadPromise;
+            };
+
+            // Sync is best effort: the local copy is the source of truth
+            const sync = (operation, ...args) =>
+                syncAdapter[operation](...args).catch((error) =>
+                    console.error(`History sync (${syncAdapter.name}) failed to ${operation}:`, error),
+                );
+
+            const remove = async (id) => {
+                await load();
+                const backend = await backendPromise;
+                await backend.delete(id);
+                releaseHistoryImage(id);
+                records = records.filter((record) => record.id !== id);
+                notify();
+                sync("remove", id);
+            };
+
+            const add = async (entry) => {
+                await load();
+                const backend = await backendPromise;
+                const record = { id: createId(), createdAt: new Date().toISOString(), ...entry };
+                await backend.put(record);
+                records = [record, ...records];
+                notify();
+
+                const { imageBlob, ...remoteRecord } = record;
+                sync("push", remoteRecord);
+
+                // Pinned records never count towards the limit
+                const stale = records.filter((item) => !item.pinned).slice(limit);
+                await Promise.all(stale.map((item) => remove(item.id)));
+                return record;
+            };
+
+            const update = async (id, changes) => {
+                await load();
+                const current = records.find((record) => record.id === id);
+                if (!current) return null;
+                const backend = await backendPromise;
+                const record = { ...current, ...changes };
+                await backend.put(record);
+                records = records.map((item) => (item.id === id ? record : item));
+                notify();
+
+                const { imageBlob, ...remoteRecord } = record;
+                sync("push", remoteRecord);
+                return record;
+            };
+
+            const subscribe = (listener) => {
+                listeners.add(listener);
+                return () => listeners.delete(listener);
+            };
+
+            return { load, add, update, remove, subscribe, getAll: () => records };
+        };
+
+        const generationHistory = createGenerationHistory({
+            backendPromise: createHistoryBackend(),
+            syncAdapter: (historySyncAdapters[readStoredJson(HISTORY_SYNC_KEY, "none")] || historySyncAdapters.none)(),
+        });
+
+        // What a finished generation stores. `version` marks edits of an earlier record ({ parentId, edit }).
+        const createGenerationEntry = (kind, providerId, params, result, version = {}) => ({
+            kind,
+            providerId,
+            prompt: params.prompt,
+            negativePrompt: params.negativePrompt || "",
+            promptMode: params.promptMode || "raw",
+            promptParts: params.promptParts || null,
+            stylePresetId: params.stylePresetId || "",
+            model: params.model,
+            width: params.width,
+            height: params.height,
+            seed: params.seed,
+            referenceImage: storableReference(params.referenceImage),
+            strength: params.referenceImage ? params.strength : null,
+            // Lasting address when the provider has one; the blob is what survives without it
+            imageUrl: result.url,
+            imageBlob: result.blob || null,
+            ...version,
+        });
+
+        // Object URLs for stored image blobs, created lazily and released when a record is removed
+        const historyImageUrls = new Map();
+
+        const getHistoryImageSrc = (record) => {
+            if (!record.imageBlob) return record.imageUrl;
+            if (!historyImageUrls.has(record.id)) {
+                historyImageUrls.set(record.id, URL.createObjectURL(record.imageBlob));
+            }
+            return historyImageUrls.get(record.id);
+        };
+
+        const releaseHistoryImage = (id) => {
+            if (historyImageUrls.has(id)) {
+                URL.revokeObjectURL(historyImageUrls.get(id));
+                historyImageUrls.delete(id);
+            }
+        };
+
+        const useGenerationHistory = () => {
+            const [records, setRecords] = useState(generationHistory.getAll());
+            const [status, setStatus] = useState("loading");
+
+            const load = useCallback(() => {
+                setStatus("loading");
+                generationHistory
+                    .load()
+                    .then(() => setStatus("ready"))
+                    .catch((error) => {
+                        console.error("Could not load generation history:", error);
+                        setStatus("error");
+                    });
+            }, []);
+
+            useEffect(() => {
+                const unsubscribe = generationHistory.subscribe(setRecords);
+                load();
+                return unsubscribe;
+            }, [load]);
+
+            return { records, status, reload: load };
+        };
+
+        // Drawer listing past generations for one generator tab
+        const GenerationHistoryPanel = ({ kind, isOpen, onClose, onRestore, onRerun }) => {
+            const { records, status, reload } = useGenerationHistory();
+            const timeline = useContent("timeline");
+            const [compareIds, setCompareIds] = useState([]);
+
+            useEffect(() => {
+                if (!isOpen) return;
+                const handleEscape = (e) => {
+                    if (e.key === "Escape") onClose();
+                };
+                document.addEventListener("keydown", handleEscape);
+                return () => document.removeEventListener("keydown", handleEscape);
+            }, [isOpen, onClose]);
+
+            // Pinned favourites first, then newest first
+            const entries = useMemo(
+                () =>
+                    records
+                        .filter((record) => record.kind === kind)
+                        .sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned))),
+                [records, kind],
+            );
+
+            const comparing = compareIds
+                .map((id) => entries.find((record) => record.id === id))
+                .filter(Boolean);
+
+            const toggleCompare = (id) => {
+                setCompareIds((prev) =>
+                    prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id].slice(-2),
+                );
+            };
+
+            const describe = (record) =>
+                [
+                    record.model,
+                    `${record.width}×${record.height}`,
+                    Number.isInteger(record.seed) ? `seed ${record.seed}` : null,
+                    record.referenceImage ? `reference ${Math.round(record.strength * 100)}%` : null,
+                    record.edit === "inpaint" ? "inpainted" : null,
+                    record.stylePresetId && findStylePreset(timeline.items, record.stylePresetId)
+                        ? `${findStylePreset(timeline.items, record.stylePresetId).name} style`
+                        : null,
+                    new Date(record.createdAt).toLocaleString(),
+                ]
+                    .filter(Boolean)
+                    .join(" · ");
+
+            const renderThumbnail = (record, className) => {
+                const src = getHistoryImageSrc(record);
+                return src
+                    ? h("img", { src, alt: record.prompt, className, loading: "lazy" })
+                    : h("div", { className: `${className} history-thumb-missing` }, "Image not stored");
+            };
+
+            if (!isOpen) return null;
+
+            return h(
+                "div",
+                { className: "history-overlay", onClick: onClose },
+                h(
+                    "aside",
+                    {
+                        className: "history-drawer",
+                        role: "dialog",
+                        "aria-modal": "true",
+                        "aria-label": "Generation history",
+                        onClick: (e) => e.stopPropagation(),
+                    },
+                    h(
+                        "div",
+                        { className: "history-header" },
+                        h("h3", null, kind === "fashion" ? "Fashion History" : "Art History"),
+                        h(
+                            "div",
+                            { className: "history-header-actions" },
+                            h(BulkSelectButton, { items: entries.map(collectionItemFrom.generation) }),
+                            h(
+                                "button",
+                                { type: "button", className: "ai-action-btn", onClick: onClose, "aria-label": "Close history" },
+                                "✕",
+                            ),
+                        ),
+                    ),
+                    comparing.length === 2 &&
+                        h(
+                            "div",
+                            { className: "history-compare" },
+                            comparing.map((record) =>
+                                h(
+                                    "figure",
+                                    { key: record.id, className: "history-compare-item" },
+                                    renderThumbnail(record, "history-compare-image"),
+                                    h("figcaption", null, h("strong", null, record.prompt), h("span", null, describe(record))),
+                                ),
+                            ),
+                            h(
+                                "button",
+                                { type: "button", className: "action-btn", onClick: () => setCompareIds([]) },
+                                "Close comparison",
+                            ),
+                        ),
+                    status === "loading" && h("p", { className: "history-empty" }, "Loading history..."),
+                    status === "error" &&
+                        h(
+                            "div",
+                            { className: "history-empty", role: "alert" },
+                            h("p", null, "History could not be loaded."),
+                            h("button", { type: "button", className: "action-btn", onClick: reload }, "Retry"),
+                        ),
+                    status === "ready" &&
+                        entries.length === 0 &&
+                        h("p", { className: "history-empty" }, "Nothing generated yet. Your results will appear here."),
+                    h(
+                        "ul",
+                        { className: "history-list" },
+                        entries.map((record) =>
+                            h(
+                                "li",
+                                {
+                                    key: record.id,
+                                    className: `history-item ${record.pinned ? "pinned" : ""} ${compareIds.includes(record.id) ? "comparing" : ""}`,
+                                },
+                                h(SelectionCheckbox, { item: collectionItemFrom.generation(record) }),
+                                renderThumbnail(record, "history-thumb"),
+                                h(
+                                    "div",
+                                    { className: "history-item-body" },
+                                    h("p", { className: "history-item-prompt", title: record.prompt }, record.prompt),
+                                    h("p", { className: "history-item-meta" }, describe(record)),
+                                    h(
+                                        "div",
+                                        { className: "history-item-actions" },
+                                        h(
+                                            "button",
+                                            { type: "button", className: "preset-btn", onClick: () => onRestore(record) },
+                                            "Restore",
+                                        ),
+                                        h(CollectButton, { item: collectionItemFrom.generation(record) }),
+                                        h(
+                                            "button",
+                                            { type: "button", className: "preset-btn", onClick: () => onRerun(record) },
+                                            "Re-run",
+                                        ),
+                                        record.parentId &&
+                                            records.some((entry) => entry.id === record.parentId) &&
+                                            h(
+                                                "button",
+                                                {
+                                                    type: "button",
+                                                    className: "preset-btn",
+                                                    onClick: () => onRestore(records.find((entry) => entry.id === record.parentId)),
+                                                },
+                                                "Original",
+                                            ),
+                                        h(
+                                            "button",
+                                            {
+                                                type: "button",
+                                                className: `preset-btn ${compareIds.includes(record.id) ? "active" : ""}`,
+                                                onClick: () => toggleCompare(record.id),
+                                                "aria-pressed": compareIds.includes(record.id),
+                                            },
+                                            "Compare",
+                                        ),
+                                        h(
+                                            "button",
+                                            {
+                                                type: "button",
+                                                className: `preset-btn ${record.pinned ? "active" : ""}`,
+                                                onClick: () => generationHistory.update(record.id, { pinned: !record.pinned }),
+                                                "aria-pressed": Boolean(record.pinned),
+                                            },
+                                            record.pinned ? "★ Pinned" : "☆ Pin",
+                                        ),
+                                        h(
+                                            "button",
+                                            {
+                                                type: "button",
+                                                className: "preset-btn history-delete-btn",
+                                                onClick: () => generationHistory.remove(record.id),
+                                            },
+                                            "Delete",
+                                        ),
+                                    ),
+                                ),
+                            ),
+                        ),
+                    ),
+                ),
+            );
+        };
+
+        // Structured prompt builder for the art tab
+        const PROMPT_BUILDER_FIELDS = [
+            { id: "subject", label: "Subject", placeholder: "A lighthouse on the edge of a floating island" },
+            { id: "style", label: "Style", placeholder: "Art nouveau, surrealism, ukiyo-e..." },
+            { id: "medium", label: "Medium", placeholder: "Oil on canvas, watercolor, 3D render..." },
+            { id: "lighting", label: "Lighting", placeholder: "Golden hour, neon glow, volumetric fog..." },
+            { id: "palette", label: "Colour palette", placeholder: "Teal and amber, muted pastels..." },
+            { id: "composition", label: "Camera / composition", placeholder: "Wide angle, close-up, rule of thirds..." },
+        ];
+
+        const emptyPromptParts = () =>
+            PROMPT_BUILDER_FIELDS.reduce((parts, field) => ({ ...parts, [field.id]: "" }), {});
+
+        const assemblePrompt = (parts) =>
+            [
+                parts.subject,
+                parts.style && `${parts.style} style`,
+                parts.medium,
+                parts.lighting && `${parts.lighting} lighting`,
+                parts.palette && `${parts.palette} colour palette`,
+                parts.composition,
+            ]
+                .map((part) => part && part.trim())
+                .filter(Boolean)
+                .join(", ");
+
+        const findStylePreset = (eras, eraId) => {
+            const era = eras.find((item) => item.id === eraId);
+            return era ? { id: era.id, era: era.era, ...era.stylePreset } : null;
+        };
+
+        // Era styles are appended to whatever the user wrote, and their negatives merged with the user's
+        const applyStylePreset = (params, preset) =>
+            preset
+                ? {
+                      ...params,
+                      prompt: [params.prompt, preset.prompt].filter(Boolean).join(", "),
+                      negativePrompt: [params.negativePrompt, preset.negativePrompt].filter(Boolean).join(", "),
+                  }
+                : params;
+
+        const MAX_SEED = 2147483647;
+        const randomSeed = () => Math.floor(Math.random() * MAX_SEED);
+
+        const buildFashionPrompt = (description) => `Fashion clothes with realistic model, ${description}`;
+
+        // Share links carry everything needed to rebuild a result:
+        // #digital/art?prompt=...&model=flux&width=512&height=512&seed=42
+        const encodeShareParams = (params) => ({
+            prompt: params.prompt,
+            negative: params.negativePrompt,
+            style: params.stylePresetId,
+            model: params.model,
+            width: params.width,
+            height: params.height,
+            seed: Number.isInteger(params.seed) ? params.seed : undefined,
+            ref: storableReference(params.referenceImage) ? params.referenceImage.url : undefined,
+            strength: storableReference(params.referenceImage) ? params.strength : undefined,
+        });
+
+        const decodeShareParams = (query) => {
+            if (!query.prompt) return null;
+            const toInteger = (value, min, max) => {
+                const number = Number(value);
+                return Number.isInteger(number) && number >= min && number <= max ? number : undefined;
+            };
+            return {
+                prompt: query.prompt,
+                negativePrompt: query.negative || "",
+                stylePresetId: query.style || "",
+                model: query.model || "",
+                width: toInteger(query.width, 256, 1920) || 512,
+                height: toInteger(query.height, 256, 1920) || 512,
+                seed: toInteger(query.seed, 0, MAX_SEED),
+                referenceImage: /^https?:/.test(query.ref || "")
+                    ? { source: "link", name: query.ref.split("/").pop().split("?")[0] || "Shared image", url: query.ref }
+                    : null,
+                strength: Math.min(1, Math.max(0.05, Number(query.strength) || DEFAULT_REFERENCE_STRENGTH)),
+            };
+        };
+
+        // Result image editor
+        // Edits are a plain description that renderImageEdits draws onto a canvas from the original image,
+        // so undo and redo only keep a list of descriptions and never lose quality.
+        const IMAGE_FILTERS = [
+            { id: "none", label: "None", css: "" },
+            { id: "mono", label: "Mono", css: "grayscale(100%)" },
+            { id: "sepia", label: "Sepia", css: "sepia(80%)" },
+            { id: "vintage", label: "Vintage", css: "sepia(35%) saturate(130%) hue-rotate(-10deg)" },
+            { id: "cool", label: "Cool", css: "saturate(110%) hue-rotate(15deg)" },
+            { id: "soft", label: "Soft", css: "blur(1.5px)" },
+            { id: "invert", label: "Invert", css: "invert(100%)" },
+        ];
+
+        const OVERLAY_POSITIONS = [
+            { id: "top-left", label: "Top left" },
+            { id: "top-right", label: "Top right" },
+            { id: "center", label: "Centre" },
+            { id: "bottom-left", label: "Bottom left" },
+            { id: "bottom-right", label: "Bottom right" },
+        ];
+
+        const IMAGE_EDIT_HISTORY_LIMIT = 50;
+
+        const defaultImageEdits = () => ({
+            crop: null,
+            rotation: 0,
+            flipX: false,
+            flipY: false,
+            brightness: 100,
+            contrast: 100,
+            saturation: 100,
+            filter: "none",
+            overlay: { text: "", position: "bottom-right", size: 5, color: "#ffffff", opacity: 80 },
+        });
+
+        // Consecutive changes with the same merge key (one slider drag, one text field) become a single undo step
+        const createEditHistory = (present) => ({ past: [], present, future: [], mergeKey: null });
+
+        const pushEdit = (history, present, mergeKey = null) =>
+            mergeKey && mergeKey === history.mergeKey
+                ? { ...history, present, future: [] }
+                : {
+                      past: [...history.past, history.present].slice(-IMAGE_EDIT_HISTORY_LIMIT),
+                      present,
+                      future: [],
+                      mergeKey,
+                  };
+
+        const undoEdit = (history) =>
+            history.past.length
+                ? {
+                      past: history.past.slice(0, -1),
+                      present: history.past[history.past.length - 1],
+                      future: [history.present, ...history.future],
+                      mergeKey: null,
+                  }
+                : history;
+
+        const redoEdit = (history) =>
+            history.future.length
+                ? {
+                      past: [...history.past, history.present],
+                      present: history.future[0],
+                      future: history.future.slice(1),
+                      mergeKey: null,
+                  }
+                : history;
+
+        const greatestCommonDivisor = (a, b) => (b ? greatestCommonDivisor(b, a % b) : a);
+
+        const aspectLabel = ({ width, height }) => {
+            const divisor = greatestCommonDivisor(width, height);
+            return `${width / divisor}:${height / divisor}`;
+        };
+
+        // Largest centred rectangle of the given aspect ratio that fits inside width × height
+        const centredCrop = (width, height, aspect) =>
+            width / height > aspect
+                ? { x: (width - height * aspect) / 2, y: 0, width: height * aspect, height }
+                : { x: 0, y: (height - width / aspect) / 2, width, height: width / aspect };
+
+        const drawImageOverlay = (context, canvas, overlay) => {
+            if (!overlay.text.trim()) return;
+            const fontSize = Math.max(12, Math.round((canvas.width * overlay.size) / 100));
+            const [vertical, horizontal] = overlay.position === "center" ? ["middle", "center"] : overlay.position.split("-");
+
+            context.save();
+            context.font = `600 ${fontSize}px Inter, system-ui, sans-serif`;
+            context.fillStyle = overlay.color;
+            context.globalAlpha = overlay.opacity / 100;
+            context.shadowColor = "rgba(0, 0, 0, 0.5)";
+            context.shadowBlur = fontSize / 4;
+            context.textAlign = horizontal;
+            context.textBaseline = vertical;
+            context.fillText(
+                overlay.text,
+                horizontal === "left" ? fontSize : horizontal === "right" ? canvas.width - fontSize : canvas.width / 2,
+                vertical === "top" ? fontSize : vertical === "bottom" ? canvas.height - fontSize : canvas.height / 2,
+            );
+            context.restore();
+        };
+
+        // Crop is taken from the source in the output's orientation, then the image is rotated and flipped
+        // as seen on screen; colour adjustments and the filter use the canvas `filter` property
+        const renderImageEdits = (canvas, image, edits) => {
+            const quarterTurn = edits.rotation % 180 !== 0;
+            const preset = dimensionPresets.find((item) => item.name === edits.crop);
+            const aspect = preset ? preset.width / preset.height : null;
+            const source = aspect
+                ? centredCrop(image.naturalWidth, image.naturalHeight, quarterTurn ? 1 / aspect : aspect)
+                : { x: 0, y: 0, width: image.naturalWidth, height: image.naturalHeight };
+
+            canvas.width = Math.round(quarterTurn ? source.height : source.width);
+            canvas.height = Math.round(quarterTurn ? source.width : source.height);
+
+            const context = canvas.getContext("2d");
+            const filter = IMAGE_FILTERS.find((item) => item.id === edits.filter) || IMAGE_FILTERS[0];
+            context.save();
+            context.filter = `brightness(${edits.brightness}%) contrast(${edits.contrast}%) saturate(${edits.saturation}%) ${filter.css}`.trim();
+            context.translate(canvas.width / 2, canvas.height / 2);
+            context.scale(edits.flipX ? -1 : 1, edits.flipY ? -1 : 1);
+            context.rotate((edits.rotation * Math.PI) / 180);
+            context.drawImage(
+                image,
+                source.x,
+                source.y,
+                source.width,
+                source.height,
+                -source.width / 2,
+                -source.height / 2,
+                source.width,
+                source.height,
+            );
+            context.restore();
+            drawImageOverlay(context, canvas, edits.overlay);
+        };
+
+        // Cross-origin images must be CORS-enabled, otherwise the canvas is tainted and cannot be exported
+        const loadEditableImage = (src) =>
+            new Promise((resolve, reject) => {
+                const image = new Image();
+                image.crossOrigin = "anonymous";
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error("The image could not be opened for editing."));
+                image.src = src;
+            });
+
+        const canvasToBlob = (canvas, type, quality) =>
+            new Promise((resolve, reject) => {
+                try {
+                    canvas.toBlob(
+                        (blob) => (blob ? resolve(blob) : reject(new Error("The edited image could not be exported."))),
+                        type,
+                        quality,
+                    );
+                } catch (error) {
+                    reject(error);
+                }
+            });
+
+        // Full-screen canvas editor for a generated result: crop, rotate/flip, adjustments, filters and a text overlay
+        // `onExport` receives the edited image as a lossless PNG and takes it through the usual export dialog
+        const ImageEditor = ({ imageUrl, onExport, onClose, onError }) => {
+            const [history, setHistory] = useState(() => createEditHistory(defaultImageEdits()));
+            const [status, setStatus] = useState("loading");
+            const [isExporting, setIsExporting] = useState(false);
+            const imageRef = useRef(null);
+            const canvasRef = useRef(null);
+            const closeButtonRef = useRef(null);
+            const edits = history.present;
+
+            useEffect(() => {
+                let active = true;
+                setStatus("loading");
+                loadEditableImage(imageUrl).then(
+                    (image) => {
+                        if (!active) return;
+                        imageRef.current = image;
+                        setStatus("ready");
+                    },
+                    (error) => {
+                        console.warn("Image editor:", error);
+                        if (active) setStatus("error");
+                    },
+                );
+                return () => {
+                    active = false;
+                };
+            }, [imageUrl]);
+
+            useEffect(() => {
+                if (status === "ready" && canvasRef.current) renderImageEdits(canvasRef.current, imageRef.current, edits);
+            }, [status, edits]);
+
+            const apply = (changes, mergeKey = null) =>
+                setHistory((prev) => pushEdit(prev, { ...prev.present, ...changes }, mergeKey));
+
+            const applyOverlay = (field, value) =>
+                setHistory((prev) =>
+                    pushEdit(prev, { ...prev.present, overlay: { ...prev.present.overlay, [field]: value } }, `overlay.${field}`),
+                );
+
+            const undo = () => setHistory(undoEdit);
+            const redo = () => setHistory(redoEdit);
+
+            useEffect(() => {
+                const handleKeyDown = (e) => {
+                    if (e.key === "Escape") {
+                        onClose();
+                        return;
+                    }
+                    // Text fields keep their own undo
+                    if (e.target.closest && e.target.closest("input[type='text'], textarea")) return;
+                    if (!(e.ctrlKey || e.metaKey)) return;
+                    const key = e.key.toLowerCase();
+                    if (key === "z" && !e.shiftKey) {
+                        e.preventDefault();
+                        undo();
+                    } else if ((key === "z" && e.shiftKey) || key === "y") {
+                        e.preventDefault();
+                        redo();
+                    }
+                };
+                document.addEventListener("keydown", handleKeyDown);
+                return () => document.removeEventListener("keydown", handleKeyDown);
+            }, [onClose]);
+
+            useEffect(() => {
+                const previousFocus = document.activeElement;
+                const previousOverflow = document.body.style.overflow;
+                document.body.style.overflow = "hidden";
+                if (closeButtonRef.current) closeButtonRef.current.focus();
+                return () => {
+                    document.body.style.overflow = previousOverflow;
+                    if (previousFocus && previousFocus.focus) previousFocus.focus();
+                };
+            }, []);
+
+            const exportImage = async () => {
+                setIsExporting(true);
+                try {
+                    onExport(await canvasToBlob(canvasRef.current, "image/png"));
+                } catch (error) {
+                    console.warn("Image editor export failed:", error);
+                    onError(
+                        error.name === "SecurityError"
+                            ? "This image's server does not allow edited copies to be saved."
+                            : error.message,
+                    );
+                } finally {
+                    setIsExporting(false);
+                }
+            };
+
+            const slider = (field, label, min, max) =>
+                h(
+                    "label",
+                    { key: field, className: "image-editor-slider" },
+                    h("span", null, label),
+                    h("input", {
+                        type: "range",
+                        min: String(min),
+                        max: String(max),
+                        value: edits[field],
+                        onChange: (e) => apply({ [field]: Number(e.target.value) }, field),
+                    }),
+                    h("span", null, `${edits[field]}%`),
+                );
+
+            const toolButton = (label, isActive, onClick, ariaLabel) =>
+                h(
+                    "button",
+                    {
+                        key: label,
+                        type: "button",
+                        className: `preset-btn ${isActive ? "active" : ""}`,
+                        "aria-pressed": isActive === null ? undefined : isActive,
+                        "aria-label": ariaLabel,
+                        onClick,
+                        disabled: status !== "ready",
+                    },
+                    label,
+                );
+
+            return h(
+                "div",
+                { className: "lightbox image-editor", role: "dialog", "aria-modal": "true", "aria-label": "Edit image" },
+                h(
+                    "div",
+                    { className: "lightbox-stage" },
+                    status === "loading" &&
+                        h("div", { className: "loading-spinner", role: "status" }, h("div", { className: "spinner" }), h("p", null, "Opening image...")),
+                    status === "error" &&
+                        h(
+                            "div",
+                            { className: "content-state content-state-error", role: "alert" },
+                            h("p", null, "The image could not be opened for editing. Its server may not allow it."),
+                        ),
+                    h("canvas", {
+                        ref: canvasRef,
+                        className: "image-editor-canvas",
+                        hidden: status !== "ready",
+                        "aria-label": "Edited image preview",
+                    }),
+                ),
+                h(
+                    "aside",
+                    { className: "lightbox-panel" },
+                    h(
+                        "div",
+                        { className: "lightbox-panel-header" },
+                        h("h3", { className: "lightbox-title" }, "Edit image"),
+                        h(
+                            "button",
+                            { ref: closeButtonRef, type: "button", className: "ai-action-btn", onClick: onClose, "aria-label": "Close editor" },
+                            "✕",
+                        ),
+                    ),
+                    h(
+                        "div",
+                        { className: "image-editor-history" },
+                        h(
+                            "button",
+                            { type: "button", className: "preset-btn", onClick: undo, disabled: !history.past.length, "aria-keyshortcuts": "Control+Z" },
+                            "↶ Undo",
+                        ),
+                        h(
+                            "button",
+                            { type: "button", className: "preset-btn", onClick: redo, disabled: !history.future.length, "aria-keyshortcuts": "Control+Shift+Z" },
+                            "↷ Redo",
+                        ),
+                        h(
+                            "button",
+                            {
+                                type: "button",
+                                className: "preset-btn",
+                                onClick: () => setHistory((prev) => pushEdit(prev, defaultImageEdits())),
+                                disabled: !history.past.length,
+                            },
+                            "Reset",
+                        ),
+                    ),
+                    h(
+                        "div",
+                        { className: "form-group" },
+                        h("span", { className: "form-label" }, "Crop"),
+                        h(
+                            "div",
+                            { className: "dimension-presets" },
+                            toolButton("Original", edits.crop === null, () => apply({ crop: null })),
+                            dimensionPresets.map((preset) =>
+                                toolButton(`${preset.name} ${aspectLabel(preset)}`, edits.crop === preset.name, () => apply({ crop: preset.name })),
+                            ),
+                        ),
+                    ),
+                    h(
+                        "div",
+                        { className: "form-group" },
+                        h("span", { className: "form-label" }, "Rotate & flip"),
+                        h(
+                            "div",
+                            { className: "dimension-presets" },
+                            toolButton("⟲", null, () => apply({ rotation: (edits.rotation + 270) % 360 }), "Rotate left"),
+                            toolButton("⟳", null, () => apply({ rotation: (edits.rotation + 90) % 360 }), "Rotate right"),
+                            toolButton("⇋ Flip", edits.flipX, () => apply({ flipX: !edits.flipX }), "Flip horizontally"),
+                            toolButton("⇵ Flip", edits.flipY, () => apply({ flipY: !edits.flipY }), "Flip vertically"),
+                        ),
+                    ),
+                    h(
+                        "div",
+                        { className: "form-group" },
+                        h("span", { className: "form-label" }, "Adjust"),
+                        slider("brightness", "Brightness", 0, 200),
+                        slider("contrast", "Contrast", 0, 200),
+                        slider("saturation", "Saturation", 0, 200),
+                    ),
+                    h(
+                        "div",
+                        { className: "form-group" },
+                        h("span", { className: "form-label" }, "Filter"),
+                        h(
+                            "div",
+                            { className: "dimension-presets" },
+                            IMAGE_FILTERS.map((filter) => toolButton(filter.label, edits.filter === filter.id, () => apply({ filter: filter.id }))),
+                        ),
+                    ),
+                    h(
+                        "div",
+                        { className: "form-group" },
+                        h("label", { className: "form-label", htmlFor: "image-editor-text" }, "Text / watermark"),
+                        h("input", {
+                            id: "image-editor-text",
+                            type: "text",
+                            className: "dimension-input",
+                            placeholder: "e.g. © PictaLens",
+                            value: edits.overlay.text,
+                            onChange: (e) => applyOverlay("text", e.target.value),
+                        }),
+                        h(
+                            "div",
+                            { className: "image-editor-overlay-options" },
+                            h(
+                                "select",
+                                {
+                                    className: "dimension-input style-select",
+                                    "aria-label": "Text position",
+                                    value: edits.overlay.position,
+                                    onChange: (e) => applyOverlay("position", e.target.value),
+                                },
+                                OVERLAY_POSITIONS.map((position) => h("option", { key: position.id, value: position.id }, position.label)),
+                            ),
+                            h("input", {
+                                type: "color",
+                                className: "image-editor-color",
+                                "aria-label": "Text colour",
+                                value: edits.overlay.color,
+                                onChange: (e) => applyOverlay("color", e.target.value),
+                            }),
+                        ),
+                        h(
+                            "label",
+                            { className: "image-editor-slider" },
+                            h("span", null, "Size"),
+                            h("input", {
+                                type: "range",
+                                min: "2",
+                                max: "15",
+                                value: edits.overlay.size,
+                                onChange: (e) => applyOverlay("size", Number(e.target.value)),
+                            }),
+                            h("span", null, `${edits.overlay.size}%`),
+                        ),
+                        h(
+                            "label",
+                            { className: "image-editor-slider" },
+                            h("span", null, "Opacity"),
+                            h("input", {
+                                type: "range",
+                                min: "10",
+                                max: "100",
+                                value: edits.overlay.opacity,
+                                onChange: (e) => applyOverlay("opacity", Number(e.target.value)),
+                            }),
+                            h("span", null, `${edits.overlay.opacity}%`),
+                        ),
+                    ),
+                    h(
+                        "div",
+                        { className: "action-buttons" },
+                        h(
+                            "button",
+                            { type: "button", className: "generate-btn", onClick: exportImage, disabled: status !== "ready" || isExporting },
+                            isExporting ? "Exporting..." : "Export",
+                        ),
+                        h("button", { type: "button", className: "random-btn", onClick: onClose }, "Done"),
+                    ),
+                ),
+            );
+        };
+
+        // Inpainting
+        // The user paints over the result on a separate mask canvas; only that region is sent back to the
+        // provider with a new prompt. Each accepted result becomes a new history version of the image.
+        const INPAINT_BRUSH_SIZES = { min: 1, max: 20, initial: 6 };
+        const INPAINT_UNDO_LIMIT = 20;
+
+        // Provider masks are opaque: white where strokes were painted, black everywhere else
+        const renderInpaintMask = (strokes) => {
+            const mask = document.createElement("canvas");
+            mask.width = strokes.width;
+            mask.height = strokes.height;
+            const context = mask.getContext("2d");
+            context.drawImage(strokes, 0, 0);
+            context.globalCompositeOperation = "source-in";
+            context.fillStyle = "#ffffff";
+            context.fillRect(0, 0, mask.width, mask.height);
+            context.globalCompositeOperation = "destination-over";
+            context.fillStyle = "#000000";
+            context.fillRect(0, 0, mask.width, mask.height);
+            return mask;
+        };
+
+        // Erasing can take a mask back to nothing, so emptiness is read from the pixels rather than the strokes
+        const maskHasPixels = (canvas) => {
+            const { data } = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+            for (let index = 3; index < data.length; index += 4) {
+                if (data[index] > 0) return true;
+            }
+            return false;
+        };
+
+        const InpaintEditor = ({ imageUrl, params, provider, onApply, onClose }) => {
+            const task = useGenerationTask(provider);
+            const [status, setStatus] = useState("loading");
+            const [prompt, setPrompt] = useState(params.prompt);
+            const [brushSize, setBrushSize] = useState(INPAINT_BRUSH_SIZES.initial);
+            const [erasing, setErasing] = useState(false);
+            const [hasMask, setHasMask] = useState(false);
+            const [undoStack, setUndoStack] = useState([]);
+            const [prepareError, setPrepareError] = useState("");
+            const imageCanvasRef = useRef(null);
+            const maskCanvasRef = useRef(null);
+            const strokeRef = useRef(null);
+            const closeButtonRef = useRef(null);
+            const supported = provider.capabilities.inpainting;
+
+            // Every applied result comes back as a new imageUrl, so the mask starts over for the next round
+            useEffect(() => {
+                let active = true;
+                setStatus("loading");
+                loadEditableImage(imageUrl).then(
+                    (image) => {
+                        if (!active) return;
+                        [imageCanvasRef.current, maskCanvasRef.current].forEach((canvas) => {
+                            canvas.width = image.naturalWidth;
+                            canvas.height = image.naturalHeight;
+                        });
+                        imageCanvasRef.current.getContext("2d").drawImage(image, 0, 0);
+                        setHasMask(false);
+                        setUndoStack([]);
+                        setStatus("ready");
+                    },
+                    (error) => {
+                        console.warn("Inpainting:", error);
+                        if (active) setStatus("error");
+                    },
+                );
+                return () => {
+                    active = false;
+                };
+            }, [imageUrl]);
+
+            useEffect(() => {
+                const handleKeyDown = (e) => {
+                    if (e.key === "Escape") onClose();
+                };
+                document.addEventListener("keydown", handleKeyDown);
+                return () => document.removeEventListener("keydown", handleKeyDown);
+            }, [onClose]);
+
+            useEffect(() => {
+                const previousFocus = document.activeElement;
+                const previousOverflow = document.body.style.overflow;
+                document.body.style.overflow = "hidden";
+                if (closeButtonRef.current) closeButtonRef.current.focus();
+                return () => {
+                    document.body.style.overflow = previousOverflow;
+                    if (previousFocus && previousFocus.focus) previousFocus.focus();
+                };
+            }, []);
+
+            // Pointer positions are mapped from the displayed size to the canvas's own pixels
+            const canvasPoint = (e) => {
+                const canvas = maskCanvasRef.current;
+                const rect = canvas.getBoundingClientRect();
+                return {
+                    x: ((e.clientX - rect.left) / rect.width) * canvas.width,
+                    y: ((e.clientY - rect.top) / rect.height) * canvas.height,
+                };
+            };
+
+            const drawStroke = (from, to) => {
+                const canvas = maskCanvasRef.current;
+                const context = canvas.getContext("2d");
+                context.save();
+                context.globalCompositeOperation = erasing ? "destination-out" : "source-over";
+                context.strokeStyle = "#ec4899";
+                context.lineWidth = (canvas.width * brushSize) / 100;
+                context.lineCap = "round";
+                context.lineJoin = "round";
+                context.beginPath();
+                context.moveTo(from.x, from.y);
+                context.lineTo(to.x, to.y);
+                context.stroke();
+                context.restore();
+            };
+
+            const handlePointerDown = (e) => {
+                if (status !== "ready" || task.isActive) return;
+                const canvas = maskCanvasRef.current;
+                const snapshot = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+                setUndoStack((prev) => [...prev, { snapshot, hasMask }].slice(-INPAINT_UNDO_LIMIT));
+                canvas.setPointerCapture(e.pointerId);
+                const point = canvasPoint(e);
+                strokeRef.current = point;
+                drawStroke(point, point);
+                if (!erasing) setHasMask(true);
+            };
+
+            const handlePointerMove = (e) => {
+                if (!strokeRef.current) return;
+                const point = canvasPoint(e);
+                drawStroke(strokeRef.current, point);
+                strokeRef.current = point;
+            };
+
+            const endStroke = () => {
+                if (!strokeRef.current) return;
+                strokeRef.current = null;
+                setHasMask(maskHasPixels(maskCanvasRef.current));
+            };
+
+            const undoStroke = () => {
+                const last = undoStack[undoStack.length - 1];
+                if (!last) return;
+                maskCanvasRef.current.getContext("2d").putImageData(last.snapshot, 0, 0);
+                setHasMask(last.hasMask);
+                setUndoStack((prev) => prev.slice(0, -1));
+            };
+
+            const clearMask = () => {
+                const canvas = maskCanvasRef.current;
+                canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+                setHasMask(false);
+                setUndoStack([]);
+            };
+
+            const regenerate = async () => {
+                setPrepareError("");
+                let inpaint;
+                try {
+                    inpaint = {
+                        image: await canvasToBlob(imageCanvasRef.current, "image/png"),
+                        mask: await canvasToBlob(renderInpaintMask(maskCanvasRef.current), "image/png"),
+                    };
+                } catch (error) {
+                    console.warn("Inpainting could not read the image:", error);
+                    setPrepareError(
+                        error.name === "SecurityError"
+                            ? "This image's server does not allow it to be edited. Generate it with the local provider first."
+                            : error.message,
+                    );
+                    return;
+                }
+
+                const { referenceImage, strength, ...base } = params;
+                const request = {
+                    ...base,
+                    prompt: prompt.trim() || params.prompt,
+                    width: imageCanvasRef.current.width,
+                    height: imageCanvasRef.current.height,
+                    seed: randomSeed(),
+                };
+                const outcome = await task.run({ ...request, inpaint });
+                if (outcome.status === "succeeded") onApply(request, outcome.result);
+            };
+
+            const failed = task.status === "failed" || task.status === "timedOut";
+
+            return h(
+                "div",
+                { className: "lightbox image-editor inpaint-editor", role: "dialog", "aria-modal": "true", "aria-label": "Inpaint image" },
+                h(
+                    "div",
+                    { className: "lightbox-stage" },
+                    status === "loading" &&
+                        h("div", { className: "loading-spinner", role: "status" }, h("div", { className: "spinner" }), h("p", null, "Opening image...")),
+                    status === "error" &&
+                        h(
+                            "div",
+                            { className: "content-state content-state-error", role: "alert" },
+                            h("p", null, "The image could not be opened for inpainting. Its server may not allow it."),
+                        ),
+                    h(
+                        "div",
+                        { className: `inpaint-canvas-wrap ${task.isActive ? "busy" : ""}`, hidden: status !== "ready" },
+                        h("canvas", { ref: imageCanvasRef, className: "image-editor-canvas", "aria-hidden": "true" }),
+                        h("canvas", {
+                            ref: maskCanvasRef,
+                            className: `inpaint-mask ${erasing ? "erasing" : ""}`,
+                            "aria-label": "Paint over the area to regenerate",
+                            onPointerDown: handlePointerDown,
+                            onPointerMove: handlePointerMove,
+                            onPointerUp: endStroke,
+                            onPointerCancel: endStroke,
+                        }),
+                    ),
+                    task.isActive &&
+                        h(
+                            "div",
+                            { className: "loading-spinner inpaint-progress", role: "status" },
+                            h("div", { className: "spinner" }),
+                            h("p", null, task.status === "queued" ? "Preparing..." : "Regenerating the painted area..."),
+                        ),
+                ),
+                h(
+                    "aside",
+                    { className: "lightbox-panel" },
+                    h(
+                        "div",
+                        { className: "lightbox-panel-header" },
+                        h("h3", { className: "lightbox-title" }, "Inpaint"),
+                        h(
+                            "button",
+                            { ref: closeButtonRef, type: "button", className: "ai-action-btn", onClick: onClose, "aria-label": "Close inpainting" },
+                            "✕",
+                        ),
+                    ),
+                    !supported &&
+                        h(
+                            "p",
+                            { className: "form-hint reference-image-unsupported", role: "note" },
+                            `${provider.name} cannot regenerate masked regions. Switch to a provider with inpainting support under Image Provider.`,
+                        ),
+                    h(
+                        "p",
+                        { className: "form-hint" },
+                        "Paint over the part of the image to change. Everything outside the mask is kept.",
+                    ),
+                    h(
+                        "div",
+                        { className: "image-editor-history" },
+                        h(
+                            "button",
+                            {
+                                type: "button",
+                                className: `preset-btn ${erasing ? "" : "active"}`,
+                                "aria-pressed": !erasing,
+                                onClick: () => setErasing(false),
+                            },
+                            "🖌 Paint",
+                        ),
+                        h(
+                            "button",
+                            {
+                                type: "button",
+                                className: `preset-btn ${erasing ? "active" : ""}`,
+                                "aria-pressed": erasing,
+                                onClick: () => setErasing(true),
+                            },
+                            "Erase",
+                        ),
+                        h("button", { type: "button", className: "preset-btn", onClick: undoStroke, disabled: !undoStack.length }, "↶ Undo"),
+                        h("button", { type: "button", className: "preset-btn", onClick: clearMask, disabled: !hasMask }, "Clear"),
+                    ),
+                    h(
+                        "label",
+                        { className: "image-editor-slider" },
+                        h("span", null, "Brush"),
+                        h("input", {
+                            type: "range",
+                            min: String(INPAINT_BRUSH_SIZES.min),
+                            max: String(INPAINT_BRUSH_SIZES.max),
+                            value: brushSize,
+                            onChange: (e) => setBrushSize(Number(e.target.value)),
+                        }),
+                        h("span", null, `${brushSize}%`),
+                    ),
+                    h(
+                        "div",
+                        { className: "form-group" },
+                        h("label", { className: "form-label", htmlFor: "inpaint-prompt" }, "What should appear there?"),
+                        h("textarea", {
+                            id: "inpaint-prompt",
+                            className: "form-textarea",
+                            rows: 3,
+                            value: prompt,
+                            onChange: (e) => setPrompt(e.target.value),
+                        }),
+                    ),
+                    (prepareError || failed) &&
+                        h("div", { className: "generation-error", role: "alert" }, h("span", null, prepareError || task.message)),
+                    h(
+                        "div",
+                        { className: "action-buttons" },
+                        task.isActive
+                            ? h("button", { type: "button", className: "generate-btn", onClick: task.cancel }, "Cancel")
+                            : h(
+                                  "button",
+                                  {
+                                      type: "button",
+                                      className: "generate-btn",
+                                      onClick: regenerate,
+                                      disabled: !supported || status !== "ready" || !hasMask,
+                                  },
+                                  failed ? "Retry" : "Regenerate area",
+                              ),
+                        h("button", { type: "button", className: "random-btn", onClick: onClose }, "Done"),
+                    ),
+                ),
+            );
+        };
+
+        // Image export
+        // Downloads go through an export dialog: keep the original bytes or re-encode through a canvas at a
+        // scale, optionally embed the generation metadata, and name the file from a template.
+        const EXPORT_OPTIONS_KEY = "pictalens:export-options";
+
+        const EXPORT_FORMATS = [
+            { id: "original", label: "Original file", mime: null, lossy: false },
+            { id: "png", label: "PNG", mime: "image/png", extension: "png", lossy: false },
+            { id: "jpeg", label: "JPEG", mime: "image/jpeg", extension: "jpg", lossy: true },
+            { id: "webp", label: "WebP", mime: "image/webp", extension: "webp", lossy: true },
+            { id: "avif", label: "AVIF", mime: "image/avif", extension: "avif", lossy: true },
+        ];
+
+        const EXPORT_SCALES = [0.5, 1, 2, 4];
+
+        const EXPORT_TEMPLATE_TOKENS = ["name", "kind", "prompt", "model", "seed", "width", "height", "date", "time"];
+
+        const defaultExportOptions = () => ({
+            format: "original",
+            quality: 90,
+            scale: 1,
+            embedMetadata: true,
+            template: "{name}",
+        });
+
+        // Metadata can only be written into PNG (iTXt chunks) and JPEG (a COM segment)
+        const METADATA_FORMATS = ["png", "jpeg"];
+
+        const startsWithBytes = (bytes, signature, offset = 0) =>
+            signature.every((value, index) => bytes[offset + index] === value);
+
+        const asciiBytes = (text) => Array.from(text, (char) => char.charCodeAt(0));
+
+        // The server's content-type is not trusted: the first bytes say what the image really is
+        const detectImageFormat = (bytes, fallbackMime = "") => {
+            if (startsWithBytes(bytes, [0x89, 0x50, 0x4e, 0x47])) return "png";
+            if (startsWithBytes(bytes, [0xff, 0xd8, 0xff])) return "jpeg";
+            if (startsWithBytes(bytes, asciiBytes("RIFF")) && startsWithBytes(bytes, asciiBytes("WEBP"), 8)) return "webp";
+            if (startsWithBytes(bytes, asciiBytes("ftyp"), 4) && startsWithBytes(bytes, asciiBytes("avi"), 8)) return "avif";
+            if (startsWithBytes(bytes, asciiBytes("GIF8"))) return "gif";
+            const byMime = EXPORT_FORMATS.find((format) => format.mime && format.mime === fallbackMime);
+            return byMime ? byMime.id : "jpeg";
+        };
+
+        const formatExtension = (formatId) =>
+            formatId === "gif" ? "gif" : (EXPORT_FORMATS.find((format) => format.id === formatId) || EXPORT_FORMATS[2]).extension;
+
+        const encodableFormats = new Map();
+
+        // Browsers fall back to PNG for types they cannot encode, so ask for one and check what came back
+        const canEncodeFormat = (format) => {
+            if (!format.mime) return true;
+            if (!encodableFormats.has(format.id)) {
+                let supported = false;
+                try {
+                    const canvas = document.createElement("canvas");
+                    canvas.width = 1;
+                    canvas.height = 1;
+                    supported = canvas.toDataURL(format.mime).startsWith(`data:${format.mime}`);
+                } catch (error) {
+                    supported = false;
+                }
+                encodableFormats.set(format.id, supported);
+            }
+            return encodableFormats.get(format.id);
+        };
+
+        const crcTable = Array.from({ length: 256 }, (_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            return c >>> 0;
+        });
+
+        const crc32 = (bytes) => {
+            let crc = 0xffffffff;
+            for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+            return (crc ^ 0xffffffff) >>> 0;
+        };
+
+        const concatBytes = (parts) => {
+            const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+            let offset = 0;
+            parts.forEach((part) => {
+                result.set(part, offset);
+                offset += part.length;
+            });
+            return result;
+        };
+
+        const uint32Bytes = (value) => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+
+        // iTXt: keyword, null, no compression, empty language and translated keyword, then UTF-8 text
+        const pngTextChunk = (keyword, text) => {
+            const body = concatBytes([
+                new Uint8Array([...asciiBytes("iTXt"), ...asciiBytes(keyword), 0, 0, 0, 0, 0]),
+                new TextEncoder().encode(text),
+            ]);
+            return concatBytes([
+                new Uint8Array(uint32Bytes(body.length - 4)),
+                body,
+                new Uint8Array(uint32Bytes(crc32(body))),
+            ]);
+        };
+
+        const embedPngMetadata = (bytes, entries) => {
+            const iend = bytes.length - 12;
+            if (!startsWithBytes(bytes, asciiBytes("IEND"), iend + 4)) return bytes;
+            return concatBytes([
+                bytes.subarray(0, iend),
+                ...entries.map(([keyword, text]) => pngTextChunk(keyword, text)),
+                bytes.subarray(iend),
+            ]);
+        };
+
+        // The comment goes after any APPn segments, since JFIF and EXIF expect to come first
+        const embedJpegMetadata = (bytes, text) => {
+            if (!startsWithBytes(bytes, [0xff, 0xd8])) return bytes;
+            let offset = 2;
+            while (bytes[offset] === 0xff && bytes[offset + 1] >= 0xe0 && bytes[offset + 1] <= 0xef) {
+                offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+            }
+            const data = new TextEncoder().encode(text).subarray(0, 0xfffd);
+            const length = data.length + 2;
+            return concatBytes([
+                bytes.subarray(0, offset),
+                new Uint8Array([0xff, 0xfe, length >> 8, length & 0xff]),
+                data,
+                bytes.subarray(offset),
+            ]);
+        };
+
+        const describeExportMetadata = (metadata) =>
+            Object.fromEntries(
+                Object.entries({ ...metadata, software: "PictaLens" }).filter(
+                    ([, value]) => value !== undefined && value !== null && value !== "",
+                ),
+            );
+
+        const embedImageMetadata = (bytes, formatId, metadata) => {
+            const described = describeExportMetadata(metadata);
+            if (formatId === "png") {
+                return embedPngMetadata(bytes, [
+                    ...(described.prompt ? [["Description", described.prompt]] : []),
+                    ["Software", "PictaLens"],
+                    ...(described.createdAt ? [["Creation Time", described.createdAt]] : []),
+                    ["Comment", JSON.stringify(described)],
+                ]);
+            }
+            if (formatId === "jpeg") return embedJpegMetadata(bytes, JSON.stringify(described));
+            return bytes;
+        };
+
+        const slugify = (text, maxLength = 48) =>
+            normalizeSearchText(String(text))
+                .replace(/[^a-z0-9]+/g, "-")
+                .slice(0, maxLength)
+                .replace(/^-+|-+$/g, "");
+
+        // Unknown tokens are left as typed; empty ones disappear along with their separators
+        const formatExportFilename = (template, values, extension) => {
+            const date = new Date(values.createdAt || Date.now());
+            const tokens = {
+                ...values,
+                date: date.toISOString().slice(0, 10),
+                time: date.toISOString().slice(11, 19).replace(/:/g, ""),
+            };
+            const name = template
+                .replace(/\{(\w+)\}/g, (match, token) =>
+                    EXPORT_TEMPLATE_TOKENS.includes(token) ? slugify(tokens[token] == null ? "" : tokens[token]) : match,
+                )
+                .replace(/[\\/:*?"<>|\s]+/g, "-")
+                .replace(/([-_.])[-_.]+/g, "$1")
+                .replace(/^[-_.]+|[-_.]+$/g, "");
+            return `${name || "pictalens-image"}.${extension}`;
+        };
+
+        const exportImageBlob = async (blob, { format, quality, scale, embedMetadata }, metadata) => {
+            const sourceBytes = new Uint8Array(await blob.arrayBuffer());
+            const sourceFormat = detectImageFormat(sourceBytes, blob.type);
+            const target = EXPORT_FORMATS.find((item) => item.id === format) || EXPORT_FORMATS[0];
+            let bytes = sourceBytes;
+            let formatId = sourceFormat;
+
+            if (target.mime) {
+                const url = window.URL.createObjectURL(blob);
+                try {
+                    const image = await loadEditableImage(url);
+                    const canvas = document.createElement("canvas");
+                    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+                    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+                    const context = canvas.getContext("2d");
+                    context.imageSmoothingQuality = "high";
+                    // JPEG has no transparency, so flatten onto white rather than black
+                    if (target.id === "jpeg") {
+                        context.fillStyle = "#ffffff";
+                        context.fillRect(0, 0, canvas.width, canvas.height);
+                    }
+                    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                    const encoded = await canvasToBlob(canvas, target.mime, target.lossy ? quality / 100 : undefined);
+                    bytes = new Uint8Array(await encoded.arrayBuffer());
+                    formatId = detectImageFormat(bytes, encoded.type);
+                } finally {
+                    window.URL.revokeObjectURL(url);
+                }
+            }
+
+            if (embedMetadata && METADATA_FORMATS.includes(formatId)) bytes = embedImageMetadata(bytes, formatId, metadata);
+            const mime = (EXPORT_FORMATS.find((item) => item.id === formatId) || {}).mime || blob.type || "application/octet-stream";
+            return { blob: new Blob([bytes], { type: mime }), extension: formatExtension(formatId), formatId };
+        };
+
+        // Export dialog for one image. `name` is the caller's suggested file name, `metadata` the generation details.
+        // Images that only exist in memory (an edited copy) are passed as `imageBlob` instead of `imageUrl`.
+        const ExportDialog = ({ imageUrl, imageBlob, name, metadata = {}, onClose, onError }) => {
+            const [options, setOptions] = useState(() => ({ ...defaultExportOptions(), ...readStoredJson(EXPORT_OPTIONS_KEY, {}) }));
+            const [isExporting, setIsExporting] = useState(false);
+            const closeButtonRef = useRef(null);
+
+            // The original's real type is only known once downloaded, so it is fetched as soon as the dialog opens
+            const [source, setSource] = useState(null);
+
+            const target = EXPORT_FORMATS.find((format) => format.id === options.format) || EXPORT_FORMATS[0];
+            const sourceFormat = source ? source.formatId : null;
+            const canEmbed = target.mime ? METADATA_FORMATS.includes(target.id) : !sourceFormat || METADATA_FORMATS.includes(sourceFormat);
+            const values = { name, ...metadata };
+            // Until the original has arrived the usual extension is shown
+            const previewName = formatExportFilename(
+                options.template,
+                values,
+                target.extension || (sourceFormat ? formatExtension(sourceFormat) : "jpg"),
+            );
+
+            useEffect(() => {
+                let cancelled = false;
+                const inspect = async () => {
+                    let blob = imageBlob;
+                    if (!blob) {
+                        const response = await fetch(imageUrl);
+                        if (!response.ok) return;
+                        blob = await response.blob();
+                    }
+                    const formatId = detectImageFormat(new Uint8Array(await blob.slice(0, 16).arrayBuffer()), blob.type);
+                    if (!cancelled) setSource({ blob, formatId });
+                };
+                inspect().catch((error) => console.warn("Could not inspect the image before exporting:", error));
+                return () => {
+                    cancelled = true;
+                };
+            }, [imageUrl, imageBlob]);
+
+            useEffect(() => {
+                writeStoredJson(EXPORT_OPTIONS_KEY, options);
+            }, [options]);
+
+            useEffect(() => {
+                const previousFocus = document.activeElement;
+                if (closeButtonRef.current) closeButtonRef.current.focus();
+                // The dialog can open over the image editor; Escape closes only the dialog
+                const handleKeyDown = (e) => {
+                    if (e.key !== "Escape") return;
+                    e.stopPropagation();
+                    onClose();
+                };
+                window.addEventListener("keydown", handleKeyDown, true);
+                return () => {
+                    window.removeEventListener("keydown", handleKeyDown, true);
+                    if (previousFocus && previousFocus.focus) previousFocus.focus();
+                };
+            }, []);
+
+            const update = (changes) => setOptions((prev) => ({ ...prev, ...changes }));
+
+            const exportImage = async () => {
+                setIsExporting(true);
+                try {
+                    let blob = imageBlob || (source && source.blob);
+                    if (!blob) {
+                        const response = await fetch(imageUrl);
+                        if (!response.ok) throw new Error(`The image could not be downloaded (${response.status}).`);
+                        blob = await response.blob();
+                    }
+                    const result = await exportImageBlob(blob, options, metadata);
+                    downloadBlob(result.blob, formatExportFilename(options.template, values, result.extension));
+                    onClose();
+                } catch (error) {
+                    console.error("Export failed:", error);
+                    onError(error.message || "The image could not be exported.");
+                } finally {
+                    setIsExporting(false);
+                }
+            };
+
+            return h(
+                "div",
+                { className: "export-dialog-backdrop", onClick: onClose },
+                h(
+                    "div",
+                    {
+                        className: "generator-card export-dialog",
+                        role: "dialog",
+                        "aria-modal": "true",
+                        "aria-labelledby": "export-dialog-title",
+                        onClick: (e) => e.stopPropagation(),
+                    },
+                    h(
+                        "div",
+                        { className: "generator-header" },
+                        h("h3", { className: "generator-title", id: "export-dialog-title" }, "Export image"),
+                        h(
+                            "button",
+                            { ref: closeButtonRef, type: "button", className: "ai-action-btn", onClick: onClose, "aria-label": "Close export" },
+                            "✕",
                         ),
                     ),
                     h(
                         "div",
-                        { className: "category-filters" },
-                        categories.map((category) =>
-                            h(
-                                "button",
-                                {
-                                    key: category,
-                                    className: `category-btn ${selectedCategory === category ? "active" : ""}`,
-                                    onClick: () => setSelectedCategory(category),
-                                },
-                                category,
+                        { className: "form-group" },
+                        h("label", { className: "form-label", htmlFor: "export-format" }, "Format"),
+                        h(
+                            "select",
+                            {
+                                id: "export-format",
+                                className: "dimension-input style-select",
+                                value: options.format,
+                                onChange: (e) => update({ format: e.target.value }),
+                            },
+                            EXPORT_FORMATS.map((format) =>
+                                h(
+                                    "option",
+                                    { key: format.id, value: format.id, disabled: !canEncodeFormat(format) },
+                                    canEncodeFormat(format) ? format.label : `${format.label} (not supported by this browser)`,
+                                ),
                             ),
                         ),
                     ),
+                    target.lossy &&
+                        h(
+                            "label",
+                            { className: "form-group image-editor-slider" },
+                            h("span", null, "Quality"),
+                            h("input", {
+                                type: "range",
+                                min: "10",
+                                max: "100",
+                                step: "5",
+                                value: options.quality,
+                                onChange: (e) => update({ quality: Number(e.target.value) }),
+                            }),
+                            h("span", null, `${options.quality}%`),
+                        ),
                     h(
                         "div",
-                        {
-                            className: `gallery-grid ${viewMode === 'list' ? 'gallery-list' : ''}`,
-                            style: viewMode === 'list' ? { display: 'flex', flexDirection: 'column', gap: '1rem' } : {}
-                        },
-                        filteredArtworks.slice(0, visibleItems).map((artwork, index) =>
-                            h(GalleryCard, {
-                                key: artwork.id,
-                                artwork,
-                                index
-                            })
+                        { className: "form-group" },
+                        h("span", { className: "form-label" }, "Scale"),
+                        h(
+                            "div",
+                            { className: "dimension-presets" },
+                            EXPORT_SCALES.map((scale) =>
+                                h(
+                                    "button",
+                                    {
+                                        key: scale,
+                                        type: "button",
+                                        className: `preset-btn ${options.scale === scale && target.mime ? "active" : ""}`,
+                                        "aria-pressed": options.scale === scale && Boolean(target.mime),
+                                        disabled: !target.mime,
+                                        onClick: () => update({ scale }),
+                                    },
+                                    metadata.width && metadata.height
+                                        ? `${scale}× · ${Math.round(metadata.width * scale)}×${Math.round(metadata.height * scale)}`
+                                        : `${scale}×`,
+                                ),
+                            ),
                         ),
+                        !target.mime && h("p", { className: "form-hint" }, "The original file is saved exactly as generated."),
+                    ),
+                    h(
+                        "label",
+                        { className: "form-group export-dialog-check" },
+                        h("input", {
+                            type: "checkbox",
+                            checked: options.embedMetadata && canEmbed,
+                            disabled: !canEmbed,
+                            onChange: (e) => update({ embedMetadata: e.target.checked }),
+                        }),
+                        canEmbed
+                            ? "Embed prompt, model, seed and date"
+                            : "Metadata can only be embedded in PNG and JPEG files",
                     ),
-                    visibleItems < filteredArtworks.length &&
+                    h(
+                        "div",
+                        { className: "form-group" },
+                        h("label", { className: "form-label", htmlFor: "export-template" }, "File name"),
+                        h("input", {
+                            id: "export-template",
+                            type: "text",
+                            className: "dimension-input",
+                            value: options.template,
+                            onChange: (e) => update({ template: e.target.value }),
+                        }),
                         h(
-                            "div",
-                            {
-                                style: {
-                                    textAlign: 'center',
-                                    marginTop: '2rem'
-                                }
-                            },
-                            h(
-                                "button",
-                                {
-                                    className: "hero-button",
-                                    onClick: loadMoreItems,
-                                    disabled: isLoading
-                                },
-                                isLoading ? "Loading..." : "Load More"
-                            )
+                            "p",
+                            { className: "form-hint" },
+                            `Tokens: ${EXPORT_TEMPLATE_TOKENS.map((token) => `{${token}}`).join(" ")}`,
                         ),
-                    filteredArtworks.length === 0 &&
+                        h("p", { className: "form-hint", "aria-live": "polite" }, `Saves as ${previewName}`),
+                    ),
+                    h(
+                        "div",
+                        { className: "action-buttons" },
                         h(
-                            "div",
-                            {
-                                className: "text-center",
-                                style: { padding: "4rem 0" },
-                            },
-                            h(
-                                "p",
-                                {
-                                    style: { fontSize: "1.25rem", color: "#9ca3af" },
-                                },
-                                "No artworks found matching your criteria.",
-                            ),
+                            "button",
+                            { type: "button", className: "generate-btn", onClick: exportImage, disabled: isExporting },
+                            isExporting ? "Exporting..." : "Export",
                         ),
+                        h("button", { type: "button", className: "random-btn", onClick: onClose }, "Cancel"),
+                    ),
                 ),
             );
         };
 
-        // Fashion Evolution Component
-        const FashionEvolution = () => {
-            const [currentEra, setCurrentEra] = useState(0);
+        // Bulk export
+        // A selection mode shared by the generation history, the showcases and the collections. Selected
+        // items are collection snapshots (see collectionItemFrom) and leave as one ZIP with a manifest.json.
+        const BULK_EXPORT_CONCURRENCY = 3;
 
-            const fashionEras = [
-                {
-                    era: "Ancient Egypt",
-                    period: "3000 BCE",
-                    description: "Linen garments, jewelry, and elaborate headdresses symbolizing status and divinity.",
-                    image: "https://www.egypttoursportal.com/images/2025/01/Ancient-Egyptian-Clothes-Egypt-Tours-Portal.jpg",
-                    keyFeatures: ["Linen fabrics", "Gold jewelry", "Elaborate makeup", "Symbolic colors"],
-                    modernInfluence: "Minimalist silhouettes and metallic accessories",
-                },
-                {
-                    era: "Medieval",
-                    period: "1000-1400 CE",
-                    description: "Layered clothing, rich fabrics, and garments that reflected social hierarchy.",
-                    image: "https://timelessfashionhub.com/wp-content/uploads/2024/06/middle_class_fashion_in_19th_century.jpg",
-                    keyFeatures: ["Layered garments", "Rich brocades", "Long sleeves", "Head coverings"],
-                    modernInfluence: "Layering techniques and structured silhouettes",
-                },
-                {
-                    era: "Renaissance",
-                    period: "1400-1600 CE",
-                    description: "Elaborate gowns, corsets, and fashion as an art form expressing wealth and culture.",
-                    image: "https://www.fashionabc.org/wp-content/uploads/2025/01/rococo.jpg",
-                    keyFeatures: ["Corsetry", "Voluminous skirts", "Rich embroidery", "Luxury fabrics"],
-                    modernInfluence: "Structured bodices and dramatic silhouettes",
-                },
-                {
-                    era: "Victorian",
-                    period: "1837-1901 CE",
-                    description: "Modest yet elaborate fashion with emphasis on propriety and social status.",
-                    image: "https://www.mimimatthews.com/wp-content/uploads/2022/02/Women-1864-Plate-014-via-Met-Museum-1.jpg",
-                    keyFeatures: ["Bustles", "High necklines", "Long gloves", "Intricate details"],
-                    modernInfluence: "Vintage-inspired details and modest fashion",
-                },
-                {
-                    era: "1920s Flapper",
-                    period: "1920s",
-                    description: "Revolutionary fashion breaking traditional norms with shorter hemlines and looser fits.",
-                    image: "https://fashiondrive.org/wp-content/uploads/1920s-women-fashion-700x528.jpg",
-                    keyFeatures: ["Drop waists", "Short hemlines", "Beaded dresses", "Bobbed hair"],
-                    modernInfluence: "Relaxed fits and geometric patterns",
+        const createBulkSelection = () => {
+            let state = { active: false, items: [] };
+            const listeners = new Set();
+
+            const setState = (changes) => {
+                state = { ...state, ...changes };
+                listeners.forEach((listener) => listener(state));
+            };
+
+            const without = (items) => {
+                const keys = new Set(items.map(collectionItemKey));
+                return state.items.filter((entry) => !keys.has(collectionItemKey(entry)));
+            };
+
+            return {
+                getState: () => state,
+                subscribe: (listener) => {
+                    listeners.add(listener);
+                    return () => listeners.delete(listener);
                 },
+                start: () => setState({ active: true }),
+                stop: () => setState({ active: false, items: [] }),
+                isSelected: (item) => state.items.some((entry) => collectionItemKey(entry) === collectionItemKey(item)),
+                toggle: (item) =>
+                    setState({
+                        items: state.items.some((entry) => collectionItemKey(entry) === collectionItemKey(item))
+                            ? without([item])
+                            : [...state.items, item],
+                    }),
+                setMany: (items, selected) => setState({ items: selected ? [...without(items), ...items] : without(items) }),
+                replace: (items) => setState({ items }),
+            };
+        };
+
+        const bulkSelection = createBulkSelection();
+
+        const useBulkSelection = () => {
+            const [state, setState] = useState(bulkSelection.getState);
+
+            useEffect(() => {
+                setState(bulkSelection.getState());
+                return bulkSelection.subscribe(setState);
+            }, []);
+
+            return state;
+        };
+
+        // Generations stored as blobs are exported from history rather than refetched
+        const fetchBulkImage = async (item) => {
+            if (item.type === "generation") {
+                const record = generationHistory.getAll().find((entry) => entry.id === item.id);
+                if (record && record.imageBlob) return record.imageBlob;
+                if (record && record.imageUrl) item = { ...item, image: record.imageUrl };
+            }
+            if (!item.image) throw new Error("No image is stored for this item");
+            const response = await fetch(item.image);
+            if (!response.ok) throw new Error(`Download failed (${response.status})`);
+            return response.blob();
+        };
+
+        // Failed items are listed in the manifest and returned, so the caller can offer a retry
+        const exportItemsAsZip = async (items, { onProgress = () => {} } = {}) => {
+            if (!window.JSZip) throw new Error("ZIP export is unavailable because the JSZip library did not load.");
+            const zip = new window.JSZip();
+            const entries = [];
+            const failed = [];
+            let done = 0;
+            let next = 0;
+
+            const worker = async () => {
+                while (next < items.length) {
+                    const index = next++;
+                    const item = items[index];
+                    try {
+                        const blob = await fetchBulkImage(item);
+                        const bytes = new Uint8Array(await blob.arrayBuffer());
+                        const file = `images/${String(index + 1).padStart(3, "0")}-${slugify(item.title) || item.type}.${formatExtension(detectImageFormat(bytes, blob.type))}`;
+                        zip.file(file, bytes);
+                        entries.push({ index, file, item });
+                    } catch (error) {
+                        failed.push({ index, item, error: error.message || String(error) });
+                    }
+                    done += 1;
+                    onProgress({ phase: "downloading", done, total: items.length, failed: failed.length });
+                }
+            };
+            await Promise.all(Array.from({ length: Math.min(BULK_EXPORT_CONCURRENCY, items.length) }, worker));
+
+            if (!entries.length) {
+                const error = new Error("None of the selected images could be downloaded.");
+                error.failed = failed;
+                throw error;
+            }
+
+            const describe = ({ type, id, title, subtitle, image, details = {} }) => ({
+                type,
+                id,
+                title,
+                subtitle,
+                ...details,
+                source: image && !image.startsWith("blob:") ? image : undefined,
+            });
+            zip.file(
+                "manifest.json",
+                JSON.stringify(
+                    {
+                        version: 1,
+                        app: "PictaLens",
+                        exportedAt: new Date().toISOString(),
+                        items: entries.sort((a, b) => a.index - b.index).map(({ file, item }) => ({ file, ...describe(item) })),
+                        failed: failed.sort((a, b) => a.index - b.index).map(({ item, error }) => ({ ...describe(item), error })),
+                    },
+                    null,
+                    4,
+                ),
+            );
+
+            const blob = await zip.generateAsync({ type: "blob" }, (metadata) =>
+                onProgress({ phase: "compressing", done, total: items.length, failed: failed.length, percent: metadata.percent }),
+            );
+            downloadBlob(blob, `pictalens-export-${new Date().toISOString().slice(0, 10)}.zip`);
+            return { exported: entries.length, failed };
+        };
+
+        const SelectionCheckbox = ({ item, className = "" }) => {
+            const selection = useBulkSelection();
+            if (!selection.active) return null;
+            const checked = selection.items.some((entry) => collectionItemKey(entry) === collectionItemKey(item));
+            return h(
+                "label",
                 {
-                    era: "Modern Minimalism",
-                    period: "1990s-2000s",
-                    description: "Clean lines, neutral colors, and functional fashion prioritizing comfort and versatility.",
-                    image: "https://intheblouse.com/wp-content/uploads/2024/08/Copy-of-Pastel-Aesthetic-Minimalist-Black-Friday-Sale-Photo-Collage-Your-Story-30.webp",
-                    keyFeatures: ["Clean lines", "Neutral palettes", "Functional design", "Quality fabrics"],
-                    modernInfluence: "Sustainable and versatile wardrobe staples",
+                    className: `selection-checkbox ${checked ? "checked" : ""} ${className}`,
+                    onClick: (e) => e.stopPropagation(),
+                    onKeyDown: (e) => e.stopPropagation(),
                 },
+                h("input", {
+                    type: "checkbox",
+                    checked,
+                    onChange: () => bulkSelection.toggle(item),
+                    "aria-label": `Select ${item.title} for export`,
+                }),
+            );
+        };
+
+        // "Select" starts the mode; once it is on the same button selects or clears every item of its section
+        const BulkSelectButton = ({ items }) => {
+            const selection = useBulkSelection();
+            const allSelected =
+                items.length > 0 &&
+                items.every((item) => selection.items.some((entry) => collectionItemKey(entry) === collectionItemKey(item)));
+
+            if (!selection.active) {
+                return h(
+                    "button",
+                    { type: "button", className: "preset-btn", onClick: bulkSelection.start, disabled: !items.length },
+                    "Select",
+                );
+            }
+            return h(
+                "button",
                 {
-                    era: "AI Fashion",
-                    period: "2020s+",
-                    description: "Technology-driven design with AI-generated patterns, sustainable materials, and personalized fits.",
-                    image: "https://images.squarespace-cdn.com/content/v1/6198b30895e9de68c9a4f2ba/1712678229582-2QI0H11IQ6JFHYZEJ2SP/1*tBODJrqlsZAc1Pc-z3IGxA.png",
-                    keyFeatures: ["AI-generated designs", "Smart fabrics", "Sustainable materials", "Personalized fits"],
-                    modernInfluence: "The future of fashion is being written now",
+                    type: "button",
+                    className: `preset-btn ${allSelected ? "active" : ""}`,
+                    onClick: () => bulkSelection.setMany(items, !allSelected),
                 },
-            ];
+                allSelected ? "Deselect all" : `Select all (${items.length})`,
+            );
+        };
 
-            const nextEra = () => {
-                setCurrentEra((prev) => (prev + 1) % fashionEras.length);
+        const BulkExportBar = () => {
+            const selection = useBulkSelection();
+            const [progress, setProgress] = useState(null);
+            const [outcome, setOutcome] = useState(null);
+
+            if (!selection.active) return null;
+
+            const runExport = async (items) => {
+                setOutcome(null);
+                setProgress({ phase: "downloading", done: 0, total: items.length, failed: 0 });
+                try {
+                    const result = await exportItemsAsZip(items, { onProgress: setProgress });
+                    if (result.failed.length) setOutcome(result);
+                    else bulkSelection.stop();
+                } catch (error) {
+                    console.error("Bulk export failed:", error);
+                    setOutcome({ exported: 0, failed: error.failed || [], message: error.message });
+                } finally {
+                    setProgress(null);
+                }
             };
 
-            const prevEra = () => {
-                setCurrentEra((prev) => (prev - 1 + fashionEras.length) % fashionEras.length);
+            const retryFailed = () => {
+                const items = outcome.failed.map((entry) => entry.item);
+                bulkSelection.replace(items);
+                runExport(items);
             };
 
+            const percent = progress
+                ? progress.phase === "compressing"
+                    ? Math.round(progress.percent)
+                    : Math.round((progress.done / progress.total) * 100)
+                : 0;
+
             return h(
-                "section",
+                "div",
+                { className: "bulk-export-bar", role: "region", "aria-label": "Bulk export" },
+                progress
+                    ? h(
+                          "div",
+                          { className: "bulk-export-progress", role: "status" },
+                          h(
+                              "span",
+                              null,
+                              progress.phase === "compressing"
+                                  ? `Creating ZIP... ${percent}%`
+                                  : `Downloading ${progress.done} of ${progress.total}${progress.failed ? ` (${progress.failed} failed)` : ""}`,
+                          ),
+                          h("progress", { max: 100, value: percent }),
+                      )
+                    : h(
+                          "span",
+                          { className: "bulk-export-count", "aria-live": "polite" },
+                          `${selection.items.length} selected`,
+                      ),
+                outcome &&
+                    !progress &&
+                    h(
+                        "div",
+                        { className: outcome.failed.length ? "bulk-export-outcome error" : "bulk-export-outcome", role: "alert" },
+                        outcome.message ||
+                            `Exported ${outcome.exported} ${outcome.exported === 1 ? "image" : "images"}` +
+                                (outcome.failed.length ? `; ${outcome.failed.length} could not be downloaded` : ""),
+                        outcome.failed.length > 0 &&
+                            h(
+                                "ul",
+                                { className: "content-state-details" },
+                                outcome.failed.slice(0, 3).map(({ item, error }) =>
+                                    h("li", { key: collectionItemKey(item) }, `${item.title}: ${error}`),
+                                ),
+                            ),
+                        outcome.failed.length > 0 &&
+                            h("button", { type: "button", className: "preset-btn", onClick: retryFailed }, "Retry failed"),
+                    ),
+                h(
+                    "div",
+                    { className: "bulk-export-actions" },
+                    h(
+                        "button",
+                        {
+                            type: "button",
+                            className: "action-btn",
+                            onClick: () => runExport(selection.items),
+                            disabled: Boolean(progress) || !selection.items.length,
+                        },
+                        "Export ZIP",
+                    ),
+                    h(
+                        "button",
+                        {
+                            type: "button",
+                            className: "preset-btn",
+                            onClick: () => bulkSelection.replace([]),
+                            disabled: Boolean(progress) || !selection.items.length,
+                        },
+                        "Clear",
+                    ),
+                    h(
+                        "button",
+                        {
+                            type: "button",
+                            className: "preset-btn",
+                            onClick: () => {
+                                setOutcome(null);
+                                bulkSelection.stop();
+                            },
+                            disabled: Boolean(progress),
+                        },
+                        "Done",
+                    ),
+                ),
+            );
+        };
+
+        // Reference image for image-to-image generation
+        // A reference is { source, name, url, blob? }: uploads carry the file itself (and an object URL for the
+        // preview), gallery and timeline picks only their image URL.
+        const REFERENCE_MAX_BYTES = 10 * 1024 * 1024;
+
+        const referenceFromFile = (file) => {
+            if (!file.type.startsWith("image/")) throw new Error(`${file.name} is not an image.`);
+            if (file.size > REFERENCE_MAX_BYTES) throw new Error(`${file.name} is larger than 10 MB.`);
+            return { source: "upload", name: file.name, url: URL.createObjectURL(file), blob: file };
+        };
+
+        // What survives in history and share links: uploaded files are not kept, picked images are
+        const storableReference = (reference) =>
+            reference && !reference.blob ? { source: reference.source, name: reference.name, url: reference.url } : null;
+
+        const ReferenceImagePicker = ({ id, reference, onChange, strength, onStrengthChange, provider, onError }) => {
+            const artworks = useContent("artworks");
+            const timeline = useContent("timeline");
+            const [isDragging, setIsDragging] = useState(false);
+            const supported = provider.capabilities.imageToImage;
+
+            // The preview URL of a replaced upload is released; the file itself stays with any pending request
+            const replace = (next) => {
+                if (reference && reference.blob) URL.revokeObjectURL(reference.url);
+                onChange(next);
+            };
+
+            const acceptFile = (file) => {
+                try {
+                    replace(referenceFromFile(file));
+                } catch (error) {
+                    onError(error.message);
+                }
+            };
+
+            const handleDrop = (e) => {
+                e.preventDefault();
+                setIsDragging(false);
+                const [file] = e.dataTransfer.files;
+                if (file) {
+                    acceptFile(file);
+                    return;
+                }
+                // Images dragged from another tab or from this page arrive as a link
+                const url = (e.dataTransfer.getData("text/uri-list") || "").split("\n")[0].trim();
+                if (/^https?:/.test(url)) replace({ source: "link", name: url.split("/").pop() || "Dropped image", url });
+            };
+
+            const pickOption = (value) => {
+                if (!value) return;
+                const [source, itemId] = value.split(":");
+                const items = source === "timeline" ? timeline.items : artworks.items;
+                const item = items.find((entry) => String(entry.id) === itemId);
+                if (item) replace({ source, name: item.title, url: item.image });
+            };
+
+            return h(
+                "div",
+                { className: "form-group reference-image" },
+                h("label", { className: "form-label", htmlFor: `${id}-pick` }, "Reference Image"),
+                reference
+                    ? h(
+                          "div",
+                          { className: "reference-image-preview" },
+                          h("img", { src: reference.url, alt: `Reference: ${reference.name}` }),
+                          h(
+                              "div",
+                              { className: "reference-image-details" },
+                              h("p", { className: "history-item-prompt", title: reference.name }, reference.name),
+                              h(
+                                  "p",
+                                  { className: "form-hint" },
+                                  { upload: "Uploaded file", artwork: "Gallery artwork", timeline: "Timeline era", link: "Linked image" }[
+                                      reference.source
+                                  ],
+                              ),
+                              h("button", { type: "button", className: "preset-btn", onClick: () => replace(null) }, "Remove"),
+                          ),
+                      )
+                    : h(
+                          "div",
+                          {
+                              className: `reference-image-drop ${isDragging ? "dragging" : ""}`,
+                              onDragOver: (e) => {
+                                  e.preventDefault();
+                                  setIsDragging(true);
+                              },
+                              onDragLeave: () => setIsDragging(false),
+                              onDrop: handleDrop,
+                          },
+                          h("span", null, "Drop an image here or "),
+                          h(
+                              "label",
+                              { className: "preset-btn reference-image-upload" },
+                              "Upload",
+                              h("input", {
+                                  type: "file",
+                                  accept: "image/*",
+                                  onChange: (e) => {
+                                      if (e.target.files[0]) acceptFile(e.target.files[0]);
+                                      e.target.value = "";
+                                  },
+                              }),
+                          ),
+                      ),
+                h(
+                    "select",
+                    {
+                        id: `${id}-pick`,
+                        className: "dimension-input style-select",
+                        value: "",
+                        onChange: (e) => pickOption(e.target.value),
+                    },
+                    h("option", { value: "" }, "Or pick a gallery or timeline image..."),
+                    artworks.items.length > 0 &&
+                        h(
+                            "optgroup",
+                            { label: "Gallery" },
+                            artworks.items.map((artwork) =>
+                                h("option", { key: artwork.id, value: `artwork:${artwork.id}` }, `${artwork.title} · ${artwork.artist}`),
+                            ),
+                        ),
+                    timeline.items.length > 0 &&
+                        h(
+                            "optgroup",
+                            { label: "Timeline" },
+                            timeline.items.map((era) => h("option", { key: era.id, value: `timeline:${era.id}` }, `${era.title} · ${era.period}`)),
+                        ),
+                ),
+                h(
+                    "label",
+                    { className: "image-editor-slider" },
+                    h("span", null, "Strength"),
+                    h("input", {
+                        type: "range",
+                        min: "5",
+                        max: "100",
+                        step: "5",
+                        value: Math.round(strength * 100),
+                        disabled: !reference || !supported,
+                        onChange: (e) => onStrengthChange(Number(e.target.value) / 100),
+                    }),
+                    h("span", null, `${Math.round(strength * 100)}%`),
+                ),
+                h(
+                    "p",
+                    { className: supported ? "form-hint" : "form-hint reference-image-unsupported", role: supported ? undefined : "note" },
+                    supported
+                        ? "Higher strength keeps the result closer to the reference; lower strength follows the prompt more freely."
+                        : `${provider.name} cannot use reference images, so generations use the prompt only. Switch to a provider with image-to-image support under Image Provider.`,
+                ),
+            );
+        };
+
+        // Stroke icons for the generator panels, as [tag, attributes] pairs on a 24×24 grid
+        const iconShapes = {
+            bolt: [["path", { d: "M13 2L3 14h9l-1 8 10-12h-9l1-8z" }]],
+            brush: [
+                ["path", { d: "M9.06 11.9l8.07-8.06a2.85 2.85 0 1 1 4.03 4.03l-8.06 8.08" }],
+                ["path", { d: "M7.07 14.94c-1.66 0-3 1.35-3 3.02 0 1.33-2.5 1.52-2 2.02 1.08 1.1 2.49 2.02 4 2.02 2.2 0 4-1.8 4-4.04a3.01 3.01 0 0 0-3-3.02z" }],
+            ],
+            clock: [
+                ["path", { d: "M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8z" }],
+                ["path", { d: "M12 6v6l4 2" }],
+            ],
+            download: [
+                ["path", { d: "M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" }],
+                ["polyline", { points: "7,10 12,15 17,10" }],
+                ["line", { x1: "12", y1: "15", x2: "12", y2: "3" }],
+            ],
+            edit: [
+                ["path", { d: "M12 20h9" }],
+                ["path", { d: "M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4z" }],
+            ],
+            monitor: [
+                ["rect", { x: "2", y: "3", width: "20", height: "14", rx: "2", ry: "2" }],
+                ["line", { x1: "8", y1: "21", x2: "16", y2: "21" }],
+                ["line", { x1: "12", y1: "17", x2: "12", y2: "21" }],
+            ],
+            palette: [
+                ["circle", { cx: "13.5", cy: "6.5", r: ".5", fill: "currentColor" }],
+                ["circle", { cx: "17.5", cy: "10.5", r: ".5", fill: "currentColor" }],
+                ["circle", { cx: "8.5", cy: "7.5", r: ".5", fill: "currentColor" }],
+                ["circle", { cx: "6.5", cy: "12.5", r: ".5", fill: "currentColor" }],
+                [
+                    "path",
+                    {
+                        d: "M12 2C6.5 2 2 6.5 2 12s4.5 10 10 10c.926 0 1.648-.746 1.648-1.688 0-.437-.18-.835-.437-1.125-.29-.289-.438-.652-.438-1.125a1.64 1.64 0 0 1 1.668-1.668h1.996c3.051 0 5.555-2.503 5.555-5.554C21.965 6.012 17.461 2 12 2z",
+                    },
+                ],
+            ],
+            settings: [
+                ["circle", { cx: "12", cy: "12", r: "3" }],
+                ["path", { d: "m12,1 0,6" }],
+                ["path", { d: "m12,17 0,6" }],
+                ["path", { d: "m4.22,4.22 4.24,4.24" }],
+                ["path", { d: "m15.54,15.54 4.24,4.24" }],
+                ["path", { d: "m1,12 6,0" }],
+                ["path", { d: "m17,12 6,0" }],
+                ["path", { d: "m4.22,19.78 4.24,-4.24" }],
+                ["path", { d: "m15.54,8.46 4.24,-4.24" }],
+            ],
+            share: [
+                ["circle", { cx: "18", cy: "5", r: "3" }],
+                ["circle", { cx: "6", cy: "12", r: "3" }],
+                ["circle", { cx: "18", cy: "19", r: "3" }],
+                ["line", { x1: "8.59", y1: "13.51", x2: "15.42", y2: "17.49" }],
+                ["line", { x1: "15.41", y1: "6.51", x2: "8.59", y2: "10.49" }],
+            ],
+            sparkles: [
+                [
+                    "path",
+                    {
+                        d: "m12,3 -1.912,5.813a2,2 0 0,1 -1.275,1.275L3,12l5.813,1.912a2,2 0 0,1 1.275,1.275L12,21l1.912,-5.813a2,2 0 0,1 1.275,-1.275L21,12l-5.813,-1.912a2,2 0 0,1 -1.275,-1.275L12,3Z",
+                    },
+                ],
+            ],
+        };
+
+        const renderIcon = (name, { size = 16, ...props } = {}) =>
+            h(
+                "svg",
                 {
-                    id: "fashion",
-                    className: "section fashion-section",
+                    width: String(size),
+                    height: String(size),
+                    viewBox: "0 0 24 24",
+                    fill: "none",
+                    stroke: "currentColor",
+                    strokeWidth: "2",
+                    ...props,
                 },
+                ...iconShapes[name].map(([tag, attributes]) => h(tag, attributes)),
+            );
+
+        // Spinner while a run is in flight, otherwise the current image with its actions. A failed or timed out run
+        // keeps the last good image and shows the error above it. Edit and Inpaint only appear when handled.
+        const GenerationDisplay = ({
+            task,
+            provider,
+            imageUrl,
+            alt,
+            width,
+            height,
+            busyMessage,
+            onRetry,
+            onDownload,
+            onShare,
+            onEdit,
+            onInpaint,
+        }) =>
+            h(
+                "div",
+                { className: "generator-display" },
+                task.isActive
+                    ? h(
+                          "div",
+                          { className: "loading-spinner", role: "status" },
+                          h("div", { className: "spinner" }),
+                          h(
+                              "p",
+                              { style: { color: "#d1d5db" } },
+                              task.status === "queued" ? `Waiting for ${provider.name}...` : busyMessage,
+                          ),
+                          h(
+                              "p",
+                              { style: { fontSize: "0.875rem", color: "#9ca3af", marginTop: "0.5rem" } },
+                              `Generating ${width} × ${height} image`,
+                          ),
+                          h(
+                              "button",
+                              {
+                                  type: "button",
+                                  className: "action-btn generation-cancel-btn",
+                                  onClick: task.cancel,
+                              },
+                              "Cancel",
+                          ),
+                      )
+                    : imageUrl
+                      ? h(
+                            "div",
+                            { className: "generated-image-container" },
+                            (task.status === "failed" || task.status === "timedOut") &&
+                                h(
+                                    "div",
+                                    { className: "generation-error", role: "alert" },
+                                    h("span", null, task.message),
+                                    h("button", { type: "button", className: "action-btn", onClick: () => onRetry(task.params) }, "Retry"),
+                                ),
+                            h("img", {
+                                src: imageUrl,
+                                alt,
+                                className: "generated-image",
+                                style: { aspectRatio: `${width}/${height}` },
+                            }),
+                            h(
+                                "div",
+                                { className: "image-actions" },
+                                h("button", { className: "action-btn", onClick: onDownload }, renderIcon("download"), "Download"),
+                                h("button", { className: "action-btn", onClick: onShare }, renderIcon("share"), "Share"),
+                                onEdit &&
+                                    h(
+                                        "button",
+                                        { className: "action-btn", onClick: onEdit, "aria-haspopup": "dialog" },
+                                        renderIcon("edit"),
+                                        "Edit",
+                                    ),
+                                onInpaint &&
+                                    h(
+                                        "button",
+                                        { className: "action-btn", onClick: onInpaint, "aria-haspopup": "dialog" },
+                                        renderIcon("brush"),
+                                        "Inpaint",
+                                    ),
+                            ),
+                        )
+                      : null,
+            );
+
+        // Seed field for the advanced panels; typing or rolling a seed locks it so the next run reuses it
+        const SeedControls = ({ seed, onChange, locked, onLockedChange, provider }) =>
+            h(
+                "div",
+                { className: "form-group" },
+                h("label", { className: "form-label" }, "Seed"),
+                h(
+                    "div",
+                    { className: "seed-controls" },
+                    h("input", {
+                        type: "number",
+                        min: "0",
+                        max: String(MAX_SEED),
+                        step: "1",
+                        value: seed,
+                        "aria-label": "Seed",
+                        onChange: (e) => {
+                            onChange(Math.min(MAX_SEED, Math.max(0, Math.floor(Number(e.target.value)) || 0)));
+                            onLockedChange(true);
+                        },
+                        className: "dimension-input",
+                    }),
+                    h(
+                        "button",
+                        {
+                            type: "button",
+                            className: `preset-btn ${locked ? "active" : ""}`,
+                            onClick: () => onLockedChange(!locked),
+                            "aria-pressed": locked,
+                        },
+                        locked ? "🔒 Locked" : "🔓 Unlocked",
+                    ),
+                    h(
+                        "button",
+                        {
+                            type: "button",
+                            className: "preset-btn",
+                            // An unlocked seed is re-rolled on every run anyway, so a rolled one is kept
+                            onClick: () => {
+                                onChange(randomSeed());
+                                onLockedChange(true);
+                            },
+                        },
+                        "🎲 Randomize",
+                    ),
+                ),
+                h(
+                    "p",
+                    { className: "form-hint" },
+                    provider.capabilities.seed
+                        ? locked
+                            ? "This seed is reused for every run, so the same settings give the same image."
+                            : "A new seed is rolled for each run. Lock it to reproduce a result."
+                        : `${provider.name} ignores seeds, so results cannot be reproduced exactly.`,
+                ),
+            );
+
+        // Structured alternative to the raw prompt field; the parts are joined by assemblePrompt
+        const PromptBuilder = ({ parts, onPartChange }) =>
+            h(
+                "div",
+                { className: "prompt-builder" },
+                PROMPT_BUILDER_FIELDS.map((field) =>
+                    h(
+                        "div",
+                        { key: field.id, className: `prompt-builder-field prompt-builder-${field.id}` },
+                        h("label", { className: "prompt-builder-label", htmlFor: `prompt-part-${field.id}` }, field.label),
+                        h("input", {
+                            id: `prompt-part-${field.id}`,
+                            type: "text",
+                            className: "dimension-input",
+                            placeholder: field.placeholder,
+                            value: parts[field.id],
+                            onChange: (e) => onPartChange(field.id, e.target.value),
+                        }),
+                    ),
+                ),
+                h(
+                    "p",
+                    { className: "prompt-builder-preview" },
+                    h("span", null, "Final prompt: "),
+                    assemblePrompt(parts) || "Fill in at least a subject",
+                ),
+            );
+
+        // Era picker for the fashion tab; picking a second era enables the weighting slider
+        const FashionEraBlend = ({ eras, blend, prompt, onChange, onUseBlendPrompt }) => {
+            const primary = findFashionEra(eras, blend.primary);
+            const secondary = findFashionEra(eras, blend.secondary);
+            const weightPercent = Math.round(blend.weight * 100);
+            const blendPrompt = buildEraBlendPrompt(eras, blend);
+
+            return h(
+                "div",
+                { className: "form-group" },
+                h("label", { className: "form-label" }, "Design in an Era"),
                 h(
                     "div",
-                    { className: "container" },
+                    { className: "era-blend-selects" },
+                    h(
+                        "select",
+                        {
+                            className: "dimension-input style-select",
+                            "aria-label": "Fashion era",
+                            value: blend.primary,
+                            onChange: (e) => onChange({ primary: e.target.value }),
+                        },
+                        h("option", { value: "" }, "Choose an era"),
+                        eras.map((era) => h("option", { key: era.id, value: era.id }, era.era)),
+                    ),
+                    h("span", { className: "era-blend-times", "aria-hidden": "true" }, "×"),
+                    h(
+                        "select",
+                        {
+                            className: "dimension-input style-select",
+                            "aria-label": "Blend with era",
+                            value: blend.secondary,
+                            disabled: !primary,
+                            onChange: (e) => onChange({ secondary: e.target.value }),
+                        },
+                        h("option", { value: "" }, "No blend"),
+                        eras
+                            .filter((era) => era.id !== blend.primary)
+                            .map((era) => h("option", { key: era.id, value: era.id }, era.era)),
+                    ),
+                ),
+                primary &&
+                    secondary &&
                     h(
                         "div",
-                        { className: "text-center animate-fadeInUp" },
+                        { className: "era-blend-weight" },
+                        h("span", null, `${primary.era} ${weightPercent}%`),
+                        h("input", {
+                            type: "range",
+                            min: "0",
+                            max: "100",
+                            step: "10",
+                            value: weightPercent,
+                            "aria-label": `Weight of ${primary.era} versus ${secondary.era}`,
+                            onChange: (e) => onChange({ weight: Number(e.target.value) / 100 }),
+                        }),
+                        h("span", null, `${100 - weightPercent}% ${secondary.era}`),
+                    ),
+                blendPrompt &&
+                    prompt !== blendPrompt &&
+                    h(
+                        "div",
+                        { className: "era-blend-weight" },
+                        h("span", { className: "form-hint" }, "Your prompt differs from this era blend."),
                         h(
-                            "h2",
-                            { className: "section-title" },
-                            h(
-                                "span",
-                                {
-                                    style: {
-                                        background: "linear-gradient(to right, #ffffff, #ec4899)",
-                                        WebkitBackgroundClip: "text",
-                                        backgroundClip: "text",
-                                        color: "transparent",
-                                    },
-                                },
-                                "Fashion Through Time"
-                            )
+                            "button",
+                            {
+                                type: "button",
+                                className: "preset-btn",
+                                onClick: onUseBlendPrompt,
+                            },
+                            "Use blend prompt",
                         ),
+                    ),
+            );
+        };
+
+        // Single image or a batch of `count` images varying along `axis`
+        const VariationOptions = ({ count, onCountChange, axis, onAxisChange }) =>
+            h(
+                "div",
+                { className: "form-group" },
+                h("label", { className: "form-label" }, "Variations"),
+                h(
+                    "div",
+                    { className: "dimension-presets" },
+                    [0, ...VARIATION_COUNTS].map((option) =>
                         h(
-                            "p",
-                            { className: "section-description" },
-                            "Discover how clothing and style have evolved to reflect culture, technology, and human expression"
-                        )
+                            "button",
+                            {
+                                key: option,
+                                type: "button",
+                                className: `preset-btn ${count === option ? "active" : ""}`,
+                                onClick: () => onCountChange(option),
+                            },
+                            option === 0 ? "Single image" : `${option} images`,
+                        ),
                     ),
+                ),
+                count > 0 &&
                     h(
                         "div",
-                        { className: "fashion-container" },
-                        h(
-                            "div",
-                            { className: "fashion-display animate-slideInLeft" },
-                            h(
-                                "div",
-                                { className: "fashion-card" },
-                                h(
-                                    "div",
-                                    { className: "fashion-image-container" },
-                                    h("img", {
-                                        src: fashionEras[currentEra].image,
-                                        alt: fashionEras[currentEra].era,
-                                        className: "fashion-image",
-                                    }),
-                                    h("div", { className: "fashion-overlay" }),
-                                    h(
-                                        "div",
-                                        { className: "fashion-title-overlay" },
-                                        h(
-                                            "div",
-                                            {
-                                                className: "timeline-badge",
-                                                style: { background: "linear-gradient(to right, #7c3aed, #ec4899)" },
-                                            },
-                                            fashionEras[currentEra].period,
-                                        ),
-                                        h("h3", { className: "fashion-era-title" }, fashionEras[currentEra].era),
-                                    ),
-                                ),
-                            ),
+                        { className: "dimension-presets" },
+                        VARIATION_AXES.map((option) =>
                             h(
-                                "div",
-                                { className: "fashion-controls" },
-                                h(
-                                    "button",
-                                    {
-                                        className: "fashion-nav-btn",
-                                        onClick: prevEra,
-                                    },
-                                    h(
-                                        "svg",
-                                        {
-                                            width: "16",
-                                            height: "16",
-                                            viewBox: "0 0 24 24",
-                                            fill: "none",
-                                            stroke: "currentColor",
-                                            strokeWidth: "2",
-                                        },
-                                        h("path", { d: "m15,18 -6,-6 6,-6" }),
-                                    ),
-                                    "Previous",
-                                ),
-                                h(
-                                    "div",
-                                    { className: "fashion-dots" },
-                                    fashionEras.map((_, index) =>
-                                        h("button", {
-                                            key: index,
-                                            className: `fashion-dot ${index === currentEra ? "active" : ""}`,
-                                            onClick: () => setCurrentEra(index),
-                                        }),
-                                    ),
-                                ),
-                                h(
-                                    "button",
-                                    {
-                                        className: "fashion-nav-btn",
-                                        onClick: nextEra,
-                                    },
-                                    "Next",
-                                    h(
-                                        "svg",
-                                        {
-                                            width: "16",
-                                            height: "16",
-                                            viewBox: "0 0 24 24",
-                                            fill: "none",
-                                            stroke: "currentColor",
-                                            strokeWidth: "2",
-                                        },
-                                        h("path", { d: "m9,18 6,-6 -6,-6" }),
-                                    ),
-                                ),
+                                "button",
+                                {
+                                    key: option.id,
+                                    type: "button",
+                                    className: `preset-btn ${axis === option.id ? "active" : ""}`,
+                                    onClick: () => onAxisChange(option.id),
+                                },
+                                `Vary ${option.name.toLowerCase()}`,
                             ),
                         ),
+                    ),
+            );
+
+        // Comparison grid for the last variation batch; `axis` is the setting that batch varied
+        const VariationGrid = ({ batch, axis, provider, onChoose, onDownload, onShare }) =>
+            h(
+                "div",
+                { className: "variation-panel" },
+                h(
+                    "div",
+                    { className: "variation-header" },
+                    h("h3", { className: "generator-title" }, "Variations"),
+                    h(
+                        "div",
+                        { className: "generator-header-actions" },
+                        batch.isActive &&
+                            h("button", { type: "button", className: "random-btn", onClick: batch.cancel }, "Cancel"),
+                        !batch.isActive &&
+                            h("button", { type: "button", className: "random-btn", onClick: batch.clear }, "Clear"),
+                    ),
+                ),
+                h(
+                    "div",
+                    { className: `ai-gallery variation-grid variation-grid-${batch.tiles.length}` },
+                    batch.tiles.map((tile, index) =>
                         h(
                             "div",
-                            { className: "fashion-info animate-slideInRight" },
+                            {
+                                key: tile.id,
+                                className: `ai-card variation-tile variation-${tile.status}`,
+                                style: { animationDelay: `${index * 0.05}s` },
+                            },
                             h(
                                 "div",
-                                { className: "fashion-era-info" },
-                                h("h3", null, fashionEras[currentEra].era),
-                                h("p", null, fashionEras[currentEra].description),
+                                { className: "ai-card-image variation-image" },
+                                tile.status === "succeeded"
+                                    ? h("img", {
+                                          src: tile.previewUrl,
+                                          alt: `Variation ${index + 1}: ${describeVariation(tile.params, axis, provider)}`,
+                                          style: { aspectRatio: `${tile.params.width}/${tile.params.height}` },
+                                      })
+                                    : h(
+                                          "div",
+                                          { className: "variation-placeholder", role: "status" },
+                                          ACTIVE_GENERATION_STATUSES.includes(tile.status) &&
+                                              h("div", { className: "spinner", style: { width: "2rem", height: "2rem" } }),
+                                          tile.status === "queued"
+                                              ? "Queued"
+                                              : tile.status === "loading"
+                                                ? "Generating..."
+                                                : tile.status === "cancelled"
+                                                  ? "Cancelled"
+                                                  : tile.message,
+                                      ),
+                                h("div", { className: "ai-card-badge" }, describeVariation(tile.params, axis, provider)),
                             ),
                             h(
                                 "div",
-                                { className: "fashion-features" },
+                                { className: "ai-card-content" },
                                 h(
-                                    "h4",
-                                    null,
+                                    "div",
+                                    { className: "ai-card-footer" },
                                     h(
-                                        "svg",
+                                        "button",
                                         {
-                                            width: "20",
-                                            height: "20",
-                                            viewBox: "0 0 24 24",
-                                            fill: "none",
-                                            stroke: "currentColor",
-                                            strokeWidth: "2",
-                                            style: { color: "#ec4899" },
+                                            type: "button",
+                                            className: "preset-btn",
+                                            disabled: tile.status !== "succeeded",
+                                            onClick: () => onChoose(tile),
                                         },
-                                        h("path", {
-                                            d: "m12,3 -1.912,5.813a2,2 0 0,1 -1.275,1.275L3,12l5.813,1.912a2,2 0 0,1 1.275,1.275L12,21l1.912,-5.813a2,2 0 0,1 1.275,-1.275L21,12l-5.813,-1.912a2,2 0 0,1 -1.275,-1.275L12,3Z",
-                                        }),
+                                        "Use this one",
                                     ),
-                                    "Key Features",
-                                ),
-                                h(
-                                    "div",
-                                    { className: "fashion-features-grid" },
-                                    fashionEras[currentEra].keyFeatures.map((feature, index) =>
+                                    tile.status === "succeeded" &&
                                         h(
                                             "div",
-                                            {
-                                                key: feature,
-                                                className: "fashion-feature",
-                                                style: { animationDelay: `${index * 0.1}s` },
-                                            },
-                                            feature,
+                                            { className: "ai-card-actions" },
+                                            h(
+                                                "button",
+                                                {
+                                                    className: "ai-action-btn",
+                                                    "aria-label": "Download variation",
+                                                    onClick: () => onDownload(tile),
+                                                },
+                                                renderIcon("download"),
+                                            ),
+                                            h(
+                                                "button",
+                                                {
+                                                    className: "ai-action-btn",
+                                                    "aria-label": "Share variation",
+                                                    onClick: () => onShare(tile),
+                                                },
+                                                renderIcon("share"),
+                                            ),
                                         ),
-                                    ),
                                 ),
                             ),
-                            h(
-                                "div",
-                                { className: "fashion-influence" },
-                                h("h4", null, "Modern Influence"),
-                                h("p", null, fashionEras[currentEra].modernInfluence),
-                            ),
                         ),
                     ),
                 ),
             );
-        };
 
-        // Digital Art Component
-        const DigitalArt = () => {
-            const [selectedTab, setSelectedTab] = useState("art");
-            const [generatingArt, setGeneratingArt] = useState(false);
-            const [generatedImage, setGeneratedImage] = useState(
-                "https://image.pollinations.ai/prompt/A%20surreal%20landscape%20where%20time%20flows%20like%20water%20through%20crystalline%20structures?width=512&height=512&nologo=true&model=flux",
-            );
-            const [currentPrompt, setCurrentPrompt] = useState(
-                "A surreal landscape where time flows like water through crystalline structures",
-            );
-            const [imageWidth, setImageWidth] = useState(512);
-            const [imageHeight, setImageHeight] = useState(512);
-            const [model, setModel] = useState("flux"); // Added model state
-            const [showAdvanced, setShowAdvanced] = useState(false);
-            const [generatingFashion, setGeneratingFashion] = useState(false);
-            const [generatedFashion, setGeneratedFashion] = useState(
-                "https://image.pollinations.ai/prompt/Fashion%20clothes%20with%20realistic%20model,%20elegant%20evening%20gown%20with%20flowing%20fabric?width=512&height=768&nologo=true&model=flux",
-            );
-            const [fashionPrompt, setFashionPrompt] = useState("elegant evening gown with flowing fabric");
-            const [fashionWidth, setFashionWidth] = useState(512);
-            const [fashionHeight, setFashionHeight] = useState(768);
-            const [fashionModel, setFashionModel] = useState("flux"); // Added fashionModel state
-            const [showFashionAdvanced, setShowFashionAdvanced] = useState(false);
-            const [toastVisible, setToastVisible] = useState(false);
-            const [toastMessage, setToastMessage] = useState("");
+        // Backend picker shared by both advanced panels
+        const ProviderSettings = ({ provider, settings, onChange }) =>
+            h(
+                "div",
+                { className: "form-group" },
+                h("label", { className: "form-label" }, "Image Provider"),
+                h(
+                    "div",
+                    { className: "dimension-presets" },
+                    Object.keys(imageProviderFactories).map((providerId) =>
+                        h(
+                            "button",
+                            {
+                                key: providerId,
+                                type: "button",
+                                className: `preset-btn ${provider.id === providerId ? "active" : ""}`,
+                                onClick: () => onChange({ providerId }),
+                            },
+                            createImageProvider({ ...settings, providerId }).name,
+                        ),
+                    ),
+                ),
+                provider.id === "local" &&
+                    h("input", {
+                        type: "url",
+                        className: "dimension-input",
+                        "aria-label": "Local provider endpoint",
+                        placeholder: defaultProviderSettings.localEndpoint,
+                        value: settings.localEndpoint,
+                        onChange: (e) => onChange({ localEndpoint: e.target.value }),
+                    }),
+            );
+
+        // Digital Art Component
+        const DigitalArt = ({ studioRequest }) => {
+            const [provider, providerSettings, updateProviderSettings] = useImageProvider();
+            const [selectedTab, setSelectedTab] = useState("art");
+            const artTask = useGenerationTask(provider);
+            const variationBatch = useGenerationBatch(provider);
+            const [variationCount, setVariationCount] = useState(0);
+            const [variationAxis, setVariationAxis] = useState("seed");
+            const [batchAxis, setBatchAxis] = useState("seed");
+            // Settings behind the image each tab is showing; share links are built from these
+            const [artResultParams, setArtResultParams] = useState(() => ({
+                prompt: "A surreal landscape where time flows like water through crystalline structures",
+                width: 512,
+                height: 512,
+                model: provider.models[0].id,
+            }));
+            const [generatedImage, setGeneratedImage] = usePreviewImage(() => provider.buildRequest(artResultParams).url);
+            // History record behind the art preview; inpainted versions point back to it through parentId
+            const [artResultId, setArtResultId] = useState(null);
+            // When the shown image was generated (null for the built-in example); exports are dated with it
+            const [artResultTime, setArtResultTime] = useState(null);
+            const [currentPrompt, setCurrentPrompt] = useState(artResultParams.prompt);
+            const [promptMode, setPromptMode] = useState("raw");
+            const [promptParts, setPromptParts] = useState(emptyPromptParts);
+            const [negativePrompt, setNegativePrompt] = useState("");
+            const [stylePresetId, setStylePresetId] = useState("");
+            const [imageWidth, setImageWidth] = useState(512);
+            const [imageHeight, setImageHeight] = useState(512);
+            const [model, setModel] = useState(provider.models[0].id);
+            const [showAdvanced, setShowAdvanced] = useState(false);
+            const [artSeed, setArtSeed] = useState(randomSeed);
+            const [artSeedLocked, setArtSeedLocked] = useState(false);
+            const [artReference, setArtReference] = useState(null);
+            const [artStrength, setArtStrength] = useState(DEFAULT_REFERENCE_STRENGTH);
+            const fashionTask = useGenerationTask(provider);
+            const [fashionResultParams, setFashionResultParams] = useState(() => ({
+                prompt: "elegant evening gown with flowing fabric",
+                width: 512,
+                height: 768,
+                model: provider.models[0].id,
+            }));
+            const [generatedFashion, setGeneratedFashion] = usePreviewImage(
+                () =>
+                    provider.buildRequest({ ...fashionResultParams, prompt: buildFashionPrompt(fashionResultParams.prompt) })
+                        .url,
+            );
+            const [fashionResultTime, setFashionResultTime] = useState(null);
+            const [fashionPrompt, setFashionPrompt] = useState(fashionResultParams.prompt);
+            const [fashionWidth, setFashionWidth] = useState(512);
+            const [fashionHeight, setFashionHeight] = useState(768);
+            const [fashionModel, setFashionModel] = useState(provider.models[0].id);
+            const [showFashionAdvanced, setShowFashionAdvanced] = useState(false);
+            const [fashionSeed, setFashionSeed] = useState(randomSeed);
+            const [fashionSeedLocked, setFashionSeedLocked] = useState(false);
+            const [fashionReference, setFashionReference] = useState(null);
+            const [fashionStrength, setFashionStrength] = useState(DEFAULT_REFERENCE_STRENGTH);
+            const [fashionBlend, setFashionBlend] = useState({ primary: "", secondary: "", weight: 0.5 });
+            const [historyOpen, setHistoryOpen] = useState(false);
+            const timeline = useContent("timeline");
+            const fashionEras = useContent("fashionEras");
+            const aiArtworks = useContent("aiArtworks");
+            const fashionDesigns = useContent("fashionDesigns");
+            const artPrompts = useContent("artPrompts");
+            const fashionPrompts = useContent("fashionPrompts");
+            const likes = useLikes(aiArtworks.items);
+            const [isEditingImage, setIsEditingImage] = useState(false);
+            const [isInpainting, setIsInpainting] = useState(false);
+            const [exportRequest, setExportRequest] = useState(null);
+            const [showcaseSort, setShowcaseSort] = useState("featured");
+            const [toastVisible, setToastVisible] = useState(false);
+            const [toastMessage, setToastMessage] = useState("");
+            const [toastOptions, setToastOptions] = useState({});
+
+            const showToast = (message, options = {}) => {
+                setToastMessage(message);
+                setToastOptions(options);
+                setToastVisible(true);
+            };
+
+            const hideToast = () => {
+                setToastVisible(false);
+            };
+
+            // #digital/art or #digital/fashion picks the generator tab
+            const route = useRoute();
+
+            useEffect(() => {
+                if (route.section === "digital" && ["art", "fashion"].includes(route.segments[0])) {
+                    setSelectedTab(route.segments[0]);
+                }
+            }, [route]);
+
+            const selectTab = (tab) => {
+                setSelectedTab(tab);
+                navigate({ section: "digital", segments: [tab] });
+            };
+
+            // Fall back to the provider's first model when switching to a backend without the current one
+            useEffect(() => {
+                const modelIds = provider.models.map((item) => item.id);
+                if (!modelIds.includes(model)) setModel(modelIds[0]);
+                if (!modelIds.includes(fashionModel)) setFashionModel(modelIds[0]);
+            }, [provider]);
+
+            const notifyGenerationFailure = (outcome, retry) => {
+                if (outcome.status === "failed" || outcome.status === "timedOut") {
+                    showToast(outcome.message, { variant: "error", action: { label: "Retry", onClick: retry } });
+                }
+            };
+
+            const saveGeneration = async (kind, params, result, version = {}) => {
+                try {
+                    return await generationHistory.add(createGenerationEntry(kind, provider.id, params, result, version));
+                } catch (error) {
+                    console.error("Error saving generation to history:", error);
+                    return null;
+                }
+            };
+
+            const prepareArtRequest = (params) =>
+                applyStylePreset(params, findStylePreset(timeline.items, params.stylePresetId));
+
+            // Preview refreshes pass `saveToHistory: false` so browsing models and sizes does not fill the history
+            const runArtGeneration = async (params, { saveToHistory = true } = {}) => {
+                const outcome = await artTask.run(params, { prepare: prepareArtRequest });
+                if (outcome.status !== "succeeded") {
+                    notifyGenerationFailure(outcome, () => runArtGeneration(params, { saveToHistory }));
+                    return;
+                }
+
+                setGeneratedImage(outcome.result.blob);
+                setArtResultParams(params);
+                setArtResultTime(new Date().toISOString());
+                const record = saveToHistory ? await saveGeneration("art", params, outcome.result) : null;
+                setArtResultId(record ? record.id : null);
+            };
+
+            // Only attached when set and usable; providers without image-to-image support get told in a toast
+            // and generate from the prompt alone
+            const referenceParams = (referenceImage, strength) => {
+                if (!referenceImage) return {};
+                if (!provider.capabilities.imageToImage) {
+                    showToast(`${provider.name} cannot use reference images. Generating from the prompt only.`);
+                    return {};
+                }
+                return { referenceImage, strength };
+            };
+
+            // A locked seed is reused as-is; otherwise every run rolls (and records) a fresh one
+            const nextSeed = (seed, locked, setSeed) => {
+                const value = locked ? seed : randomSeed();
+                setSeed(value);
+                return value;
+            };
+
+            const generateArt = () => {
+                const params = {
+                    prompt: promptMode === "builder" ? assemblePrompt(promptParts) : currentPrompt,
+                    negativePrompt: negativePrompt.trim(),
+                    promptMode,
+                    promptParts: promptMode === "builder" ? promptParts : null,
+                    stylePresetId,
+                    width: imageWidth,
+                    height: imageHeight,
+                    model,
+                    seed: nextSeed(artSeed, artSeedLocked, setArtSeed),
+                    ...referenceParams(artReference, artStrength),
+                };
+                if (variationCount > 0) {
+                    setBatchAxis(variationAxis);
+                    variationBatch.run(
+                        buildVariationParams(params, { count: variationCount, axis: variationAxis, provider }),
+                        { prepare: prepareArtRequest },
+                    );
+                    return;
+                }
+                runArtGeneration(params);
+            };
+
+            // Promote one variation tile to the main result, its settings to the form, and save it
+            const chooseVariation = async (tile) => {
+                setGeneratedImage(tile.result.blob);
+                setArtResultParams(tile.params);
+                setArtResultTime(tile.createdAt);
+                setModel(tile.params.model);
+                setImageWidth(tile.params.width);
+                setImageHeight(tile.params.height);
+                setArtSeed(tile.params.seed);
+                setArtSeedLocked(true);
+                showToast("Variation saved to history");
+                document.querySelector("#digital .generator-card").scrollIntoView({ behavior: "smooth", block: "start" });
+                const record = await saveGeneration("art", tile.params, tile.result);
+                setArtResultId(record ? record.id : null);
+            };
+
+            // An inpainted result replaces the preview and is stored as a new version of the image it came from
+            const applyInpaint = async (params, result) => {
+                setGeneratedImage(result.blob);
+                setArtResultParams(params);
+                setArtResultTime(new Date().toISOString());
+                showToast("Inpainted version saved to history");
+                const record = await saveGeneration("art", params, result, { parentId: artResultId, edit: "inpaint" });
+                setArtResultId(record ? record.id : null);
+            };
 
-            const showToast = (message) => {
-                setToastMessage(message);
-                setToastVisible(true);
+            const prepareFashionRequest = (params) => ({ ...params, prompt: buildFashionPrompt(params.prompt) });
+
+            const runFashionGeneration = async (params, { saveToHistory = true } = {}) => {
+                const outcome = await fashionTask.run(params, { prepare: prepareFashionRequest });
+                if (outcome.status !== "succeeded") {
+                    notifyGenerationFailure(outcome, () => runFashionGeneration(params, { saveToHistory }));
+                    return;
+                }
+
+                setGeneratedFashion(outcome.result.blob);
+                setFashionResultParams(params);
+                setFashionResultTime(new Date().toISOString());
+                if (saveToHistory) saveGeneration("fashion", params, outcome.result);
             };
 
-            const hideToast = () => {
-                setToastVisible(false);
+            const generateFashion = () =>
+                runFashionGeneration({
+                    prompt: fashionPrompt,
+                    width: fashionWidth,
+                    height: fashionHeight,
+                    model: fashionModel,
+                    seed: nextSeed(fashionSeed, fashionSeedLocked, setFashionSeed),
+                    ...referenceParams(fashionReference, fashionStrength),
+                });
+
+            // Picking another model or size re-renders the image on show with it, as the preview always did.
+            // Typed sizes wait for the field to lose focus so half-typed numbers are not requested. The seed follows
+            // the form like any other run, and refreshes stay out of the history until the user generates.
+            const refreshPreview = (resultParams, formParams, changes, nextFormSeed, run) => {
+                const params = { ...resultParams, ...formParams, ...changes };
+                const unchanged = ["model", "width", "height"].every((key) => params[key] === resultParams[key]);
+                if (!unchanged) run({ ...params, seed: nextFormSeed() }, { saveToHistory: false });
             };
 
-            const aiArtworks = [
-                {
-                    id: 1,
-                    title: "Neural Dreams",
-                    style: "Abstract Expressionism",
-                    prompt: "Vibrant colors flowing like consciousness through digital space",
-                    image: "https://image.pollinations.ai/prompt/Vibrant%20colors%20flowing%20like%20consciousness%20through%20digital%20space?height=400&nologo=true&model=flux",
-                    algorithm: "Flux",
-                    likes: 1247,
-                },
-                {
-                    id: 2,
-                    title: "Quantum Portraits",
-                    style: "Surrealism",
-                    prompt: "Portrait of a person existing in multiple dimensions simultaneously",
-                    image: "https://image.pollinations.ai/prompt/Portrait%20of%20a%20person%20existing%20in%20multiple%20dimensions%20simultaneously?height=400&nologo=true&model=flux",
-                    algorithm: "Flux",
-                    likes: 892,
-                },
-                {
-                    id: 3,
-                    title: "Digital Renaissance",
-                    style: "Classical Revival",
-                    prompt: "Renaissance painting style applied to futuristic cityscape",
-                    image: "https://image.pollinations.ai/prompt/Renaissance%20painting%20style%20applied%20to%20futuristic%20cityscape?height=400&nologo=true&model=flux",
-                    algorithm: "Flux",
-                    likes: 2156,
-                },
-                {
-                    id: 4,
-                    title: "Algorithmic Nature",
-                    style: "Bio-Art",
-                    prompt: "Nature patterns generated through mathematical algorithms",
-                    image: "https://image.pollinations.ai/prompt/Nature%20patterns%20generated%20through%20mathematical%20algorithms?height=400&nologo=true&model=flux",
-                    algorithm: "Flux",
-                    likes: 743,
-                },
-            ];
+            const refreshArtPreview = (changes = {}) =>
+                refreshPreview(
+                    artResultParams,
+                    { model, width: imageWidth, height: imageHeight },
+                    changes,
+                    () => nextSeed(artSeed, artSeedLocked, setArtSeed),
+                    runArtGeneration,
+                );
 
-            const fashionDesigns = [
-                {
-                    id: 1,
-                    title: "Neo-Victorian Gown",
-                    description: "AI-designed gown combining Victorian elegance with futuristic materials",
-                    image: "https://image.pollinations.ai/prompt/Neo-Victorian%20Gown%0AAI-designed%20gown%20combining%20Victorian%20elegance%20with%20futuristic%20materials%0A%0ASmart%20Materials%0ASmart%20fabricLED%20fibersRecycled%20silk%0AAI%20Features%0ATemperature%20regulation%0AColor-changing%0ASelf-cleaning?height=576&nologo=true&model=flux",
-                    materials: ["Smart fabric", "LED fibers", "Recycled silk"],
-                    features: ["Temperature regulation", "Color-changing", "Self-cleaning"],
-                },
-                {
-                    id: 2,
-                    title: "Minimalist Tech Wear",
-                    description: "Clean lines meet functionality in this AI-optimized design",
-                    image: "https://image.pollinations.ai/prompt/A%20futuristic%20minimalist%20techwear%20outfit%20designed%20with%20clean%20lines%20and%20a%20sleek%20silhouette%2C%20worn%20by%20a%20model%20standing%20in%20a%20neutral%20urban%20environment.%20The%20clothing%20is%20made%20from%20a%20high-tech%20blend%20of%20graphene%20threads%20and%20organic%20cotton%2C%20with%20subtle%2C%20integrated%20solar%20cells%20visible%20on%20the%20jacket%20shoulders%20and%20sleeves.%20The%20outfit%20features%20a%20matte%20black%20and%20dark%20gray%20color%20palette%2C%20smooth%20textures%2C%20and%20no%20unnecessary%20embellishments.%20The%20design%20is%20AI-optimized%20for%20functionality%3A%20discreet%20biometric%20sensors%20on%20the%20wrist%20area%2C%20weather-adaptive%20material%20subtly%20shifting%20hues%20or%20texture%2C%20and%20an%20integrated%20device%20charging%20port%20near%20the%20hip.%20Lighting%20is%20soft%20and%20modern%2C%20evoking%20a%20smart%2C%20clean%2C%20and%20efficient%20aesthetic.%20Style%20inspired%20by%20futuristic%20streetwear%20and%20minimal%20fashion%20photography.?width=512&height=768&nologo=true&model=flux",
-                    materials: ["Graphene threads", "Organic cotton", "Solar cells"],
-                    features: ["Device charging", "Weather adaptive", "Biometric monitoring"],
-                },
-                {
-                    id: 3,
-                    title: "Holographic Evening Dress",
-                    description: "Shimmering dress with integrated holographic projections",
-                    image: "https://image.pollinations.ai/prompt/Holographic%20evening%20dress%20with%20integrated%20projections%20and%20shimmering%20materials?height=576&nologo=true&model=flux",
-                    materials: ["Holographic fibers", "Memory foam padding", "Crystalline threads"],
-                    features: ["Light projection", "Shape adaptation", "Mood responsive"],
-                },
-                {
-                    id: 4,
-                    title: "Sustainable Bio-Couture",
-                    description: "Eco-friendly haute couture grown from sustainable bio-materials",
-                    image: "https://image.pollinations.ai/prompt/Sustainable%20bio-couture%20dress%20made%20from%20eco-friendly%20grown%20materials?height=576&nologo=true&model=flux",
-                    materials: ["Lab-grown leather", "Mushroom fibers", "Algae dyes"],
-                    features: ["Biodegradable", "Self-repairing", "Carbon negative"],
-                },
-            ];
+            const refreshFashionPreview = (changes = {}) =>
+                refreshPreview(
+                    fashionResultParams,
+                    { model: fashionModel, width: fashionWidth, height: fashionHeight },
+                    changes,
+                    () => nextSeed(fashionSeed, fashionSeedLocked, setFashionSeed),
+                    runFashionGeneration,
+                );
 
-            const dimensionPresets = [
-                { name: "Square", width: 512, height: 512 },
-                { name: "Portrait", width: 512, height: 768 },
-                { name: "Landscape", width: 768, height: 512 },
-                { name: "Wide", width: 1024, height: 576 },
-                { name: "Ultra Wide", width: 1152, height: 512 },
-            ];
-const generateArt = async () => {
-    setGeneratingArt(true);
-
-    try {
-        const encodedPrompt = encodeURIComponent(currentPrompt);
-        const imageUrl = `https://image.pollinations.ai/prompt/${encodedPrompt}?width=${imageWidth}&height=${imageHeight}&nologo=true&model=${model}`;
-
-        await new Promise((resolve) => setTimeout(resolve, 2000));
-        setGeneratedImage(imageUrl);
-        // Save image URL and timestamp to Firebase
-        try {
-            await storeImageUrl(imageUrl);
-        } catch (firebaseError) {
-            console.error("Error saving image to Firebase:", firebaseError);
-        }
-    } catch (error) {
-        console.error("Error generating image:", error);
-    } finally {
-        setGeneratingArt(false);
-    }
-};
-
-            const generateFashion = async () => {
-                setGeneratingFashion(true);
-                try {
-                    const fullPrompt = `Fashion clothes with realistic model, ${fashionPrompt}`;
-                    const encodedPrompt = encodeURIComponent(fullPrompt);
-                    const imageUrl = `https://image.pollinations.ai/prompt/${encodedPrompt}?width=${fashionWidth}&height=${fashionHeight}&nologo=true&model=${fashionModel}`;
+            const resolveModel = (modelId) =>
+                provider.models.some((item) => item.id === modelId) ? modelId : provider.models[0].id;
+
+            // Put a stored generation back into its tab's form and preview
+            const restoreGeneration = (record) => {
+                const modelId = resolveModel(record.model);
+                // The preview gets its own object URL, so deleting the record later cannot break it
+                const imageSource = record.imageBlob || record.imageUrl;
+                // Restoring locks the stored seed so the next run reproduces the same image. Seedless records get
+                // a fresh seed in the form, which is also the one a re-run uses.
+                const hasSeed = Number.isInteger(record.seed);
+                const seed = hasSeed ? record.seed : randomSeed();
+                // Uploaded reference files are not stored, so those generations come back without one
+                const reference = record.referenceImage
+                    ? { referenceImage: record.referenceImage, strength: Number.isFinite(record.strength) ? record.strength : DEFAULT_REFERENCE_STRENGTH }
+                    : {};
+                const resultParams = {
+                    prompt: record.prompt,
+                    negativePrompt: record.negativePrompt || "",
+                    stylePresetId: record.stylePresetId || "",
+                    model: record.model,
+                    width: record.width,
+                    height: record.height,
+                    seed: hasSeed ? record.seed : undefined,
+                    ...reference,
+                };
+                if (record.kind === "fashion") {
+                    setFashionPrompt(record.prompt);
+                    setFashionReference(record.referenceImage || null);
+                    if (record.referenceImage) setFashionStrength(reference.strength);
+                    setFashionModel(modelId);
+                    setFashionWidth(record.width);
+                    setFashionHeight(record.height);
+                    setFashionSeed(seed);
+                    if (hasSeed) setFashionSeedLocked(true);
+                    if (imageSource) {
+                        setGeneratedFashion(imageSource);
+                        setFashionResultParams(resultParams);
+                        setFashionResultTime(record.createdAt || null);
+                    }
+                } else {
+                    setCurrentPrompt(record.prompt);
+                    setNegativePrompt(record.negativePrompt || "");
+                    setArtReference(record.referenceImage || null);
+                    if (record.referenceImage) setArtStrength(reference.strength);
+                    setPromptMode(record.promptParts ? record.promptMode || "builder" : "raw");
+                    setStylePresetId(record.stylePresetId || "");
+                    if (record.promptParts) setPromptParts({ ...emptyPromptParts(), ...record.promptParts });
+                    setModel(modelId);
+                    setImageWidth(record.width);
+                    setImageHeight(record.height);
+                    setArtSeed(seed);
+                    if (hasSeed) setArtSeedLocked(true);
+                    if (imageSource) {
+                        setGeneratedImage(imageSource);
+                        setArtResultParams(resultParams);
+                        setArtResultTime(record.createdAt || null);
+                        setArtResultId(record.id || null);
+                    }
+                }
+                return {
+                    prompt: record.prompt,
+                    negativePrompt: record.negativePrompt || "",
+                    promptMode: record.promptParts ? record.promptMode || "builder" : "raw",
+                    promptParts: record.promptParts || null,
+                    stylePresetId: record.stylePresetId || "",
+                    model: modelId,
+                    width: record.width,
+                    height: record.height,
+                    seed,
+                    ...reference,
+                };
+            };
+
+            // Opening a share link restores the form and rebuilds the exact provider request for the preview.
+            // Era styles change the request, so those links wait for the timeline content.
+            const restoredShareRef = useRef(null);
+
+            useEffect(() => {
+                if (route.section !== "digital" || restoredShareRef.current === route.hash) return;
+                const shared = decodeShareParams(route.params);
+                if (!shared) return;
+                const kind = route.segments[0] === "fashion" ? "fashion" : "art";
+                if (kind === "art" && shared.stylePresetId && timeline.status === "loading") return;
 
-                    await new Promise((resolve) => setTimeout(resolve, 2000));
-                    setGeneratedFashion(imageUrl);
+                restoredShareRef.current = route.hash;
+                const request = { ...shared, model: resolveModel(shared.model) };
+                const prepare = kind === "fashion" ? prepareFashionRequest : prepareArtRequest;
+                // Image-to-image requests are POSTs, so their URL is no preview; the form is restored regardless
+                const built = provider.buildRequest(prepare(request));
+                restoreGeneration({ ...shared, kind, imageUrl: built.init.method === "GET" ? built.url : null });
+            }, [route, timeline.status]);
+
+            const shareGeneration = async (kind, params) => {
+                const link = new URL(window.location.href);
+                link.hash = buildRoute({ section: "digital", segments: [kind], params: encodeShareParams(params) });
+
+                if (navigator.share) {
+                    try {
+                        await navigator.share({ title: "PictaLens", text: params.prompt, url: link.href });
+                        return;
+                    } catch (error) {
+                        if (error.name === "AbortError") return;
+                        console.warn("Web Share failed, copying the link instead:", error);
+                    }
+                }
+
+                try {
+                    await navigator.clipboard.writeText(link.href);
+                    showToast("Share link copied to clipboard!");
                 } catch (error) {
-                    console.error("Error generating fashion:", error);
-                } finally {
-                    setGeneratingFashion(false);
+                    console.error("Failed to copy link:", error);
+                    showToast("Failed to copy link", { variant: "error" });
                 }
             };
 
-            const randomPrompts = [
-                "A majestic dragon soaring through clouds of stardust",
-                "Cyberpunk cityscape with neon reflections in rain puddles",
-                "Ancient library floating in space with books as planets",
-                "Steampunk mechanical butterfly with copper wings",
-                "Underwater palace made of coral and pearls",
-                "Time traveler's workshop filled with clockwork inventions",
-                "Phoenix rising from digital flames in pixel art style",
-                "Enchanted forest where trees grow circuit boards as leaves",
-            ];
+            const rerunGeneration = (record) => {
+                const params = restoreGeneration(record);
+                setHistoryOpen(false);
+                if (record.kind === "fashion") {
+                    runFashionGeneration(params);
+                } else {
+                    runArtGeneration(params);
+                }
+            };
 
-            const randomFashionPrompts = [
-                "elegant evening gown with flowing fabric",
-                "modern streetwear with urban aesthetic",
-                "vintage 1950s inspired dress with polka dots",
-                "futuristic cyberpunk outfit with LED accents",
-                "bohemian summer dress with floral patterns",
-                "professional business suit with contemporary cut",
-                "avant-garde haute couture with geometric shapes",
-                "casual denim outfit with artistic distressing",
-            ];
+            const closeHistory = useCallback(() => setHistoryOpen(false), []);
+
+            // The blend only rewrites a prompt the app wrote itself (the starting example or an earlier blend)
+            // or an empty one; text the user typed stays until they ask for the blend prompt explicitly
+            const blendPromptRef = useRef(fashionPrompt);
+
+            const applyFashionBlend = (blend, { replacePrompt = false } = {}) => {
+                const prompt = buildEraBlendPrompt(fashionEras.items, blend);
+                if (!prompt) return;
+                if (replacePrompt || !fashionPrompt.trim() || fashionPrompt === blendPromptRef.current) {
+                    blendPromptRef.current = prompt;
+                    setFashionPrompt(prompt);
+                }
+            };
+
+            const updateFashionBlend = (changes) => {
+                const blend = { ...fashionBlend, ...changes };
+                if (blend.secondary === blend.primary) blend.secondary = "";
+                setFashionBlend(blend);
+                applyFashionBlend(blend);
+            };
+
+            // Requests from other sections, e.g. "Create in this style" on the timeline
+            useEffect(() => {
+                if (!studioRequest) return;
+                selectTab(studioRequest.tab);
+                if (studioRequest.stylePresetId !== undefined) setStylePresetId(studioRequest.stylePresetId);
+                if (studioRequest.fashionEraId) {
+                    const blend = { primary: studioRequest.fashionEraId, secondary: "", weight: 0.5 };
+                    setFashionBlend(blend);
+                    applyFashionBlend(blend, { replacePrompt: true });
+                }
+                const section = document.getElementById("digital");
+                if (section) section.scrollIntoView({ behavior: "smooth", block: "start" });
+            }, [studioRequest]);
 
             const getRandomPrompt = () => {
+                const randomPrompts = artPrompts.items;
+                if (!randomPrompts.length) return;
                 const randomPrompt = randomPrompts[Math.floor(Math.random() * randomPrompts.length)];
-                setCurrentPrompt(randomPrompt);
+                if (promptMode === "builder") {
+                    setPromptParts((prev) => ({ ...prev, subject: randomPrompt }));
+                } else {
+                    setCurrentPrompt(randomPrompt);
+                }
+            };
+
+            // Raw text always receives the assembled prompt; going back seeds the subject if the builder is empty
+            const switchPromptMode = (mode) => {
+                if (mode === promptMode) return;
+                if (mode === "raw") {
+                    const assembled = assemblePrompt(promptParts);
+                    if (assembled) setCurrentPrompt(assembled);
+                } else if (!assemblePrompt(promptParts)) {
+                    setPromptParts({ ...emptyPromptParts(), subject: currentPrompt });
+                }
+                setPromptMode(mode);
             };
 
             const getRandomFashionPrompt = () => {
+                const randomFashionPrompts = fashionPrompts.items;
+                if (!randomFashionPrompts.length) return;
                 const randomPrompt = randomFashionPrompts[Math.floor(Math.random() * randomFashionPrompts.length)];
                 setFashionPrompt(randomPrompt);
             };
 
-            const downloadImage = async (imageUrl, filename) => {
-                try {
-                    const response = await fetch(imageUrl);
-                    const blob = await response.blob();
-                    const url = window.URL.createObjectURL(blob);
-                    const link = document.createElement("a");
-                    link.href = url;
-                    link.download = filename;
-                    document.body.appendChild(link);
-                    link.click();
-                    document.body.removeChild(link);
-                    window.URL.revokeObjectURL(url);
-                } catch (error) {
-                    console.error("Download failed:", error);
-                }
-            };
+            // Every download goes through the export dialog; the extension follows the exported bytes
+            const downloadImage = (imageUrl, filename, metadata = {}) =>
+                setExportRequest({ imageUrl, name: filename.replace(/\.[a-z0-9]+$/i, ""), metadata });
+
+            // `createdAt` is when the image was generated, not when it is exported
+            const generationMetadata = (kind, params, createdAt) => ({
+                kind,
+                prompt: params.prompt,
+                negativePrompt: params.negativePrompt,
+                model: params.model,
+                seed: params.seed,
+                width: params.width,
+                height: params.height,
+                createdAt,
+            });
 
             const shareImage = async (imageUrl) => {
                 try {
@@ -1481,19 +6612,32 @@ const generateArt = async () => {
                 }
             };
 
-            // Update generatedImage when model, imageWidth, or imageHeight changes
-            useEffect(() => {
-                const encodedPrompt = encodeURIComponent(currentPrompt);
-                const imageUrl = `https://image.pollinations.ai/prompt/${encodedPrompt}?width=${imageWidth}&height=${imageHeight}&nologo=true&model=${model}`;
-                setGeneratedImage(imageUrl);
-            }, [model, imageWidth, imageHeight]);
-            // Update generatedFashion when fashionModel, fashionWidth, or fashionHeight changes
-            useEffect(() => {
-                const fullPrompt = `Fashion clothes with realistic model, ${fashionPrompt}`;
-                const encodedPrompt = encodeURIComponent(fullPrompt);
-                const imageUrl = `https://image.pollinations.ai/prompt/${encodedPrompt}?width=${fashionWidth}&height=${fashionHeight}&nologo=true&model=${fashionModel}`;
-                setGeneratedFashion(imageUrl);
-            }, [fashionModel, fashionWidth, fashionHeight]);
+            // Featured keeps the curated order; newest assumes later entries were added more recently
+            const sortedShowcase = useMemo(() => {
+                const items = [...aiArtworks.items];
+                if (showcaseSort === "popular") {
+                    items.sort((a, b) => likeCountOf(likes.counts, b) - likeCountOf(likes.counts, a));
+                } else if (showcaseSort === "recent") {
+                    items.reverse();
+                }
+                return items;
+            }, [aiArtworks.items, showcaseSort, likes.counts]);
+
+            const toggleLike = async (artwork) => {
+                try {
+                    await likesStore.toggle(artwork);
+                } catch (error) {
+                    console.warn("Like could not be saved:", error);
+                    showToast("Your like could not be saved", {
+                        variant: "error",
+                        action: { label: "Retry", onClick: () => toggleLike(artwork) },
+                    });
+                }
+            };
+
+            const renderModelIcon = (modelId) =>
+                renderIcon(modelId === "turbo" ? "bolt" : "clock", { size: 24, strokeWidth: "1", className: "model-icon" });
+
 
             return h(
                 "section",
@@ -1539,51 +6683,442 @@ const generateArt = async () => {
                                 "button",
                                 {
                                     className: `tab-btn ${selectedTab === "art" ? "active" : ""}`,
-                                    onClick: () => setSelectedTab("art"),
+                                    onClick: () => selectTab("art"),
+                                },
+                                renderIcon("palette"),
+                                "AI Art Gallery",
+                            ),
+                            h(
+                                "button",
+                                {
+                                    className: `tab-btn ${selectedTab === "fashion" ? "active" : ""}`,
+                                    onClick: () => selectTab("fashion"),
                                 },
+                                renderIcon("sparkles"),
+                                "AI Fashion",
+                            ),
+                        ),
+                    ),
+                    selectedTab === "art" &&
+                        h(
+                            "div",
+                            { className: "animate-fadeIn" },
+                            h(
+                                "div",
+                                { className: "generator-card" },
                                 h(
-                                    "svg",
-                                    {
-                                        width: "16",
-                                        height: "16",
-                                        viewBox: "0 0 24 24",
-                                        fill: "none",
-                                        stroke: "currentColor",
-                                        strokeWidth: "2",
-                                    },
-                                    h("circle", { cx: "13.5", cy: "6.5", r: ".5", fill: "currentColor" }),
-                                    h("circle", { cx: "17.5", cy: "10.5", r: ".5", fill: "currentColor" }),
-                                    h("circle", { cx: "8.5", cy: "7.5", r: ".5", fill: "currentColor" }),
-                                    h("circle", { cx: "6.5", cy: "12.5", r: ".5", fill: "currentColor" }),
-                                    h("path", { d: "M12 2C6.5 2 2 6.5 2 12s4.5 10 10 10c.926 0 1.648-.746 1.648-1.688 0-.437-.18-.835-.437-1.125-.29-.289-.438-.652-.438-1.125a1.64 1.64 0 0 1 1.668-1.668h1.996c3.051 0 5.555-2.503 5.555-5.554C21.965 6.012 17.461 2 12 2z" }),
+                                    "div",
+                                    { className: "generator-header" },
+                                    h(
+                                        "div",
+                                        { className: "generator-title" },
+                                        renderIcon("monitor", { size: 24, style: { color: "#22d3ee" } }),
+                                        "AI Art Generator",
+                                    ),
+                                    h(
+                                        "div",
+                                        { className: "generator-header-actions" },
+                                        h(
+                                            "button",
+                                            {
+                                                className: "random-btn",
+                                                onClick: () => setHistoryOpen(true),
+                                                "aria-haspopup": "dialog",
+                                            },
+                                            "History",
+                                        ),
+                                        h(
+                                            "button",
+                                            {
+                                                className: "random-btn",
+                                                onClick: () => setShowAdvanced(!showAdvanced),
+                                            },
+                                            renderIcon("settings"),
+                                            showAdvanced ? "Hide" : "Show",
+                                            " Advanced",
+                                        ),
+                                    ),
+                                ),
+                                h(
+                                    "div",
+                                    { className: "generator-content" },
+                                    h(
+                                        "div",
+                                        { className: "generator-controls" },
+                                        h(
+                                            "div",
+                                            { className: "form-group" },
+                                            h("label", { className: "form-label" }, "Describe your artistic vision"),
+                                            h(
+                                                "div",
+                                                { className: "dimension-presets", role: "group", "aria-label": "Prompt mode" },
+                                                [
+                                                    { id: "raw", name: "Raw text" },
+                                                    { id: "builder", name: "Prompt builder" },
+                                                ].map((mode) =>
+                                                    h(
+                                                        "button",
+                                                        {
+                                                            key: mode.id,
+                                                            type: "button",
+                                                            className: `preset-btn ${promptMode === mode.id ? "active" : ""}`,
+                                                            onClick: () => switchPromptMode(mode.id),
+                                                            "aria-pressed": promptMode === mode.id,
+                                                        },
+                                                        mode.name,
+                                                    ),
+                                                ),
+                                            ),
+                                            promptMode === "raw"
+                                                ? h("textarea", {
+                                                      className: "form-textarea",
+                                                      placeholder: "Enter your creative prompt here...",
+                                                      value: currentPrompt,
+                                                      onChange: (e) => setCurrentPrompt(e.target.value),
+                                                  })
+                                                : h(PromptBuilder, {
+                                                      parts: promptParts,
+                                                      onPartChange: (fieldId, value) =>
+                                                          setPromptParts((prev) => ({ ...prev, [fieldId]: value })),
+                                                  }),
+                                            h("textarea", {
+                                                className: "form-textarea negative-prompt",
+                                                placeholder: "Negative prompt: what to keep out of the image (blurry, text, watermark...)",
+                                                "aria-label": "Negative prompt",
+                                                value: negativePrompt,
+                                                onChange: (e) => setNegativePrompt(e.target.value),
+                                            }),
+                                            negativePrompt.trim() &&
+                                                !provider.capabilities.negativePrompt &&
+                                                h(
+                                                    "p",
+                                                    { className: "form-hint" },
+                                                    `${provider.name} has no negative prompt input, so it is appended to the prompt as "Avoid: ...".`,
+                                                ),
+                                        ),
+                                        h(
+                                            "div",
+                                            { className: "form-group" },
+                                            h("label", { className: "form-label", htmlFor: "art-style-preset" }, "Era Style"),
+                                            h(
+                                                "select",
+                                                {
+                                                    id: "art-style-preset",
+                                                    className: "dimension-input style-select",
+                                                    value: stylePresetId,
+                                                    onChange: (e) => setStylePresetId(e.target.value),
+                                                },
+                                                h("option", { value: "" }, "No era style"),
+                                                timeline.items.map((era) =>
+                                                    h("option", { key: era.id, value: era.id }, `${era.era} · ${era.stylePreset.name}`),
+                                                ),
+                                            ),
+                                            findStylePreset(timeline.items, stylePresetId) &&
+                                                h(
+                                                    "p",
+                                                    { className: "form-hint" },
+                                                    `Adds: ${findStylePreset(timeline.items, stylePresetId).prompt}`,
+                                                ),
+                                        ),
+                                        showAdvanced &&
+                                            h(
+                                                "div",
+                                                { className: "form-group" },
+                                                h("label", { className: "form-label" }, "Image Dimensions"),
+                                                h(
+                                                    "div",
+                                                    { className: "dimension-presets" },
+                                                    provider.sizes.map((preset) =>
+                                                        h(
+                                                            "button",
+                                                            {
+                                                                key: preset.name,
+                                                                className: `preset-btn ${imageWidth === preset.width && imageHeight === preset.height ? "active" : ""}`,
+                                                                onClick: () => {
+                                                                    setImageWidth(preset.width);
+                                                                    setImageHeight(preset.height);
+                                                                    refreshArtPreview({ width: preset.width, height: preset.height });
+                                                                },
+                                                            },
+                                                            `${preset.name} ${preset.width}×${preset.height}`,
+                                                        ),
+                                                    ),
+                                                ),
+                                                h(
+                                                    "div",
+                                                    { className: "dimension-inputs" },
+                                                    h(
+                                                        "div",
+                                                        null,
+                                                        h(
+                                                            "label",
+                                                            { className: "form-label", style: { fontSize: "0.75rem" } },
+                                                            "Width",
+                                                        ),
+                                                        h("input", {
+                                                            type: "number",
+                                                            min: "256",
+                                                            max: "1920",
+                                                            step: "64",
+                                                            value: imageWidth,
+                                                            onChange: (e) => setImageWidth(Number(e.target.value)),
+                                                            onBlur: () => refreshArtPreview(),
+                                                            className: "dimension-input",
+                                                        }),
+                                                    ),
+                                                    h(
+                                                        "div",
+                                                        null,
+                                                        h(
+                                                            "label",
+                                                            { className: "form-label", style: { fontSize: "0.75rem" } },
+                                                            "Height",
+                                                        ),
+                                                        h("input", {
+                                                            type: "number",
+                                                            min: "256",
+                                                            max: "1920",
+                                                            step: "64",
+                                                            value: imageHeight,
+                                                            onChange: (e) => setImageHeight(Number(e.target.value)),
+                                                            onBlur: () => refreshArtPreview(),
+                                                            className: "dimension-input",
+                                                        }),
+                                                    ),
+                                                ),
+                                            ),
+                                       h(
+                                           "div",
+                                           { className: "form-group" },
+                                           h("label", { className: "form-label" }, "AI Model"),
+                                           h(
+                                               "div",
+                                               { className: "model-options" },
+                                               provider.models.map((option) =>
+                                                   h(
+                                                       "label",
+                                                       { key: option.id, className: "model-option" },
+                                                       h("input", {
+                                                           type: "radio",
+                                                           name: "model",
+                                                           value: option.id,
+                                                           checked: model === option.id,
+                                                           onChange: () => {
+                                                               setModel(option.id);
+                                                               refreshArtPreview({ model: option.id });
+                                                           }
+                                                       }),
+                                                       h(
+                                                           "div",
+                                                           { className: "model-content" },
+                                                           renderModelIcon(option.id),
+                                                           h("div", { className: "model-name" }, option.name),
+                                                           h("div", { className: "model-desc" }, option.description)
+                                                       )
+                                                   )
+                                               )
+                                           )
+                                       ),
+                                        showAdvanced &&
+                                            h(SeedControls, {
+                                                seed: artSeed,
+                                                onChange: setArtSeed,
+                                                locked: artSeedLocked,
+                                                onLockedChange: setArtSeedLocked,
+                                                provider,
+                                            }),
+                                        showAdvanced &&
+                                            h(ReferenceImagePicker, {
+                                                id: "art-reference",
+                                                reference: artReference,
+                                                onChange: setArtReference,
+                                                strength: artStrength,
+                                                onStrengthChange: setArtStrength,
+                                                provider,
+                                                onError: (message) => showToast(message, { variant: "error" }),
+                                            }),
+                                        showAdvanced &&
+                                            h(ProviderSettings, {
+                                                provider,
+                                                settings: providerSettings,
+                                                onChange: updateProviderSettings,
+                                            }),
+                                        h(VariationOptions, {
+                                            count: variationCount,
+                                            onCountChange: setVariationCount,
+                                            axis: variationAxis,
+                                            onAxisChange: setVariationAxis,
+                                        }),
+                                        h(
+                                            "div",
+                                            { className: "action-buttons" },
+                                            h(
+                                                "button",
+                                                {
+                                                    className: "generate-btn",
+                                                    onClick: generateArt,
+                                                    disabled: artTask.isActive || variationBatch.isActive,
+                                                },
+                                                artTask.isActive || variationBatch.isActive
+                                                    ? h("div", {
+                                                          className: "spinner",
+                                                          style: { width: "16px", height: "16px", margin: "0 8px 0 0" },
+                                                      })
+                                                    : renderIcon("sparkles"),
+                                                artTask.isActive || variationBatch.isActive
+                                                    ? "Generating..."
+                                                    : variationCount > 0
+                                                      ? `Generate ${variationCount} Variations`
+                                                      : "Generate Art",
+                                            ),
+                                            h(
+                                                "button",
+                                                {
+                                                    className: "random-btn",
+                                                    onClick: getRandomPrompt,
+                                                    disabled: artPrompts.items.length === 0,
+                                                },
+                                                "Random Prompt",
+                                            ),
+                                        ),
+                                    ),
+                                    h(GenerationDisplay, {
+                                        task: artTask,
+                                        provider,
+                                        imageUrl: generatedImage,
+                                        alt: "Generated artwork",
+                                        width: imageWidth,
+                                        height: imageHeight,
+                                        busyMessage: "Creating your masterpiece...",
+                                        onRetry: runArtGeneration,
+                                        onDownload: () =>
+                                            downloadImage(
+                                                generatedImage,
+                                                `ai-art-${imageWidth}x${imageHeight}.jpg`,
+                                                generationMetadata("art", artResultParams, artResultTime),
+                                            ),
+                                        onShare: () => shareGeneration("art", artResultParams),
+                                        onEdit: () => setIsEditingImage(true),
+                                        onInpaint: () => setIsInpainting(true),
+                                    }),
                                 ),
-                                "AI Art Gallery",
                             ),
-                            h(
-                                "button",
-                                {
-                                    className: `tab-btn ${selectedTab === "fashion" ? "active" : ""}`,
-                                    onClick: () => setSelectedTab("fashion"),
-                                },
+                            variationBatch.tiles.length > 0 &&
+                                h(VariationGrid, {
+                                    batch: variationBatch,
+                                    axis: batchAxis,
+                                    provider,
+                                    onChoose: chooseVariation,
+                                    onDownload: (tile) =>
+                                        downloadImage(
+                                            tile.previewUrl,
+                                            `ai-art-${tile.params.width}x${tile.params.height}-${tile.params.seed}.jpg`,
+                                            generationMetadata("art", tile.params, tile.createdAt),
+                                        ),
+                                    onShare: (tile) => shareGeneration("art", tile.params),
+                                }),
+                            isContentEmpty(aiArtworks) &&
+                                h(ContentState, { content: aiArtworks, emptyMessage: "No showcase artworks yet." }),
+                            aiArtworks.items.length > 0 &&
                                 h(
-                                    "svg",
-                                    {
-                                        width: "16",
-                                        height: "16",
-                                        viewBox: "0 0 24 24",
-                                        fill: "none",
-                                        stroke: "currentColor",
-                                        strokeWidth: "2",
-                                    },
-                                    h("path", {
-                                        d: "m12,3 -1.912,5.813a2,2 0 0,1 -1.275,1.275L3,12l5.813,1.912a2,2 0 0,1 1.275,1.275L12,21l1.912,-5.813a2,2 0 0,1 1.275,-1.275L21,12l-5.813,-1.912a2,2 0 0,1 -1.275,-1.275L12,3Z",
-                                    }),
+                                    "div",
+                                    { className: "gallery-facet-toolbar showcase-toolbar" },
+                                    h(
+                                        "span",
+                                        { className: "gallery-result-count" },
+                                        likes.status === "error" ? "Like counts are unavailable right now" : "Community showcase",
+                                    ),
+                                    h(
+                                        "label",
+                                        { className: "gallery-sort" },
+                                        "Sort by",
+                                        h(
+                                            "select",
+                                            {
+                                                className: "dimension-input style-select",
+                                                value: showcaseSort,
+                                                onChange: (e) => setShowcaseSort(e.target.value),
+                                            },
+                                            SHOWCASE_SORTS.map((sort) => h("option", { key: sort.id, value: sort.id }, sort.label)),
+                                        ),
+                                    ),
+                                    h(BulkSelectButton, { items: sortedShowcase.map(collectionItemFrom.showcase) }),
+                                ),
+                            h(
+                                "div",
+                                { className: "ai-gallery" },
+                                sortedShowcase.map((artwork, index) =>
+                                    h(
+                                        "div",
+                                        {
+                                            key: artwork.id,
+                                            className: "ai-card",
+                                            style: { animationDelay: `${index * 0.1}s` },
+                                        },
+                                        h(
+                                            "div",
+                                            { className: "ai-card-image" },
+                                            h("img", {
+                                                src: artwork.image,
+                                                alt: artwork.title,
+                                            }),
+                                            h("div", { className: "ai-card-badge" }, artwork.algorithm),
+                                            h(SelectionCheckbox, { item: collectionItemFrom.showcase(artwork) }),
+                                        ),
+                                        h(
+                                            "div",
+                                            { className: "ai-card-content" },
+                                            h("h3", { className: "ai-card-title" }, artwork.title),
+                                            h("p", { className: "ai-card-style" }, artwork.style),
+                                            h("p", { className: "ai-card-prompt" }, `"${artwork.prompt}"`),
+                                            h(
+                                                "div",
+                                                { className: "ai-card-footer" },
+                                                h(
+                                                    "button",
+                                                    {
+                                                        type: "button",
+                                                        className: `ai-card-likes like-btn ${likes.liked.includes(artwork.id) ? "liked" : ""}`,
+                                                        "aria-pressed": likes.liked.includes(artwork.id),
+                                                        "aria-label": `${likes.liked.includes(artwork.id) ? "Unlike" : "Like"} ${artwork.title}`,
+                                                        onClick: () => toggleLike(artwork),
+                                                    },
+                                                    likes.liked.includes(artwork.id) ? "❤️" : "🤍",
+                                                    h("span", { "aria-live": "polite" }, likeCountOf(likes.counts, artwork).toLocaleString()),
+                                                ),
+                                                h(
+                                                    "div",
+                                                    { className: "ai-card-actions" },
+                                                    h(CollectButton, { item: collectionItemFrom.showcase(artwork) }),
+                                                    h(
+                                                        "button",
+                                                        {
+                                                            className: "ai-action-btn",
+                                                            onClick: () =>
+                                                                downloadImage(artwork.image, `${artwork.title.replace(/\s+/g, "-").toLowerCase()}.jpg`, {
+                                                                    kind: "showcase",
+                                                                    prompt: artwork.prompt,
+                                                                    model: artwork.algorithm,
+                                                                }),
+                                                        },
+                                                        renderIcon("download"),
+                                                    ),
+                                                    h(
+                                                        "button",
+                                                        {
+                                                            className: "ai-action-btn",
+                                                            onClick: () => shareImage(artwork.image),
+                                                        },
+                                                        renderIcon("share"),
+                                                    ),
+                                                ),
+                                            ),
+                                        ),
+                                    ),
                                 ),
-                                "AI Fashion",
                             ),
                         ),
-                    ),
-                    selectedTab === "art" &&
+                    selectedTab === "fashion" &&
                         h(
                             "div",
                             { className: "animate-fadeIn" },
@@ -1596,51 +7131,31 @@ const generateArt = async () => {
                                     h(
                                         "div",
                                         { className: "generator-title" },
+                                        renderIcon("monitor", { size: 24, style: { color: "#ec4899" } }),
+                                        "AI Fashion Generator",
+                                    ),
+                                    h(
+                                        "div",
+                                        { className: "generator-header-actions" },
                                         h(
-                                            "svg",
+                                            "button",
                                             {
-                                                width: "24",
-                                                height: "24",
-                                                viewBox: "0 0 24 24",
-                                                fill: "none",
-                                                stroke: "currentColor",
-                                                strokeWidth: "2",
-                                                style: { color: "#22d3ee" },
+                                                className: "random-btn",
+                                                onClick: () => setHistoryOpen(true),
+                                                "aria-haspopup": "dialog",
                                             },
-                                            h("rect", { x: "2", y: "3", width: "20", height: "14", rx: "2", ry: "2" }),
-                                            h("line", { x1: "8", y1: "21", x2: "16", y2: "21" }),
-                                            h("line", { x1: "12", y1: "17", x2: "12", y2: "21" }),
+                                            "History",
                                         ),
-                                        "AI Art Generator",
-                                    ),
-                                    h(
-                                        "button",
-                                        {
-                                            className: "random-btn",
-                                            onClick: () => setShowAdvanced(!showAdvanced),
-                                        },
                                         h(
-                                            "svg",
+                                            "button",
                                             {
-                                                width: "16",
-                                                height: "16",
-                                                viewBox: "0 0 24 24",
-                                                fill: "none",
-                                                stroke: "currentColor",
-                                                strokeWidth: "2",
+                                                className: "random-btn",
+                                                onClick: () => setShowFashionAdvanced(!showFashionAdvanced),
                                             },
-                                            h("circle", { cx: "12", cy: "12", r: "3" }),
-                                            h("path", { d: "m12,1 0,6" }),
-                                            h("path", { d: "m12,17 0,6" }),
-                                            h("path", { d: "m4.22,4.22 4.24,4.24" }),
-                                            h("path", { d: "m15.54,15.54 4.24,4.24" }),
-                                            h("path", { d: "m1,12 6,0" }),
-                                            h("path", { d: "m17,12 6,0" }),
-                                            h("path", { d: "m4.22,19.78 4.24,-4.24" }),
-                                            h("path", { d: "m15.54,8.46 4.24,-4.24" }),
+                                            renderIcon("settings"),
+                                            showFashionAdvanced ? "Hide" : "Show",
+                                            " Advanced",
                                         ),
-                                        showAdvanced ? "Hide" : "Show",
-                                        " Advanced",
                                     ),
                                 ),
                                 h(
@@ -1652,31 +7167,39 @@ const generateArt = async () => {
                                         h(
                                             "div",
                                             { className: "form-group" },
-                                            h("label", { className: "form-label" }, "Describe your artistic vision"),
+                                            h("label", { className: "form-label" }, "Describe your fashion vision"),
                                             h("textarea", {
                                                 className: "form-textarea",
                                                 placeholder: "Enter your creative prompt here...",
-                                                value: currentPrompt,
-                                                onChange: (e) => setCurrentPrompt(e.target.value),
+                                                value: fashionPrompt,
+                                                onChange: (e) => setFashionPrompt(e.target.value),
                                             }),
                                         ),
-                                        showAdvanced &&
+                                        h(FashionEraBlend, {
+                                            eras: fashionEras.items,
+                                            blend: fashionBlend,
+                                            prompt: fashionPrompt,
+                                            onChange: updateFashionBlend,
+                                            onUseBlendPrompt: () => applyFashionBlend(fashionBlend, { replacePrompt: true }),
+                                        }),
+                                        showFashionAdvanced &&
                                             h(
                                                 "div",
                                                 { className: "form-group" },
-                                                h("label", { className: "form-label" }, "Image Dimensions"),
+                                                h("label", { className: "form-label" }, "Fashion Dimensions"),
                                                 h(
                                                     "div",
                                                     { className: "dimension-presets" },
-                                                    dimensionPresets.map((preset) =>
+                                                    provider.sizes.map((preset) =>
                                                         h(
                                                             "button",
                                                             {
                                                                 key: preset.name,
-                                                                className: `preset-btn ${imageWidth === preset.width && imageHeight === preset.height ? "active" : ""}`,
+                                                                className: `preset-btn ${fashionWidth === preset.width && fashionHeight === preset.height ? "active" : ""}`,
                                                                 onClick: () => {
-                                                                    setImageWidth(preset.width);
-                                                                    setImageHeight(preset.height);
+                                                                    setFashionWidth(preset.width);
+                                                                    setFashionHeight(preset.height);
+                                                                    refreshFashionPreview({ width: preset.width, height: preset.height });
                                                                 },
                                                             },
                                                             `${preset.name} ${preset.width}×${preset.height}`,
@@ -1699,8 +7222,9 @@ const generateArt = async () => {
                                                             min: "256",
                                                             max: "1920",
                                                             step: "64",
-                                                            value: imageWidth,
-                                                            onChange: (e) => setImageWidth(Number(e.target.value)),
+                                                            value: fashionWidth,
+                                                            onChange: (e) => setFashionWidth(Number(e.target.value)),
+                                                            onBlur: () => refreshFashionPreview(),
                                                             className: "dimension-input",
                                                         }),
                                                     ),
@@ -1717,8 +7241,9 @@ const generateArt = async () => {
                                                             min: "256",
                                                             max: "1920",
                                                             step: "64",
-                                                            value: imageHeight,
-                                                            onChange: (e) => setImageHeight(Number(e.target.value)),
+                                                            value: fashionHeight,
+                                                            onChange: (e) => setFashionHeight(Number(e.target.value)),
+                                                            onBlur: () => refreshFashionPreview(),
                                                             className: "dimension-input",
                                                         }),
                                                     ),
@@ -1731,53 +7256,49 @@ const generateArt = async () => {
                                            h(
                                                "div",
                                                { className: "model-options" },
-                                               h(
-                                                   "label",
-                                                   { className: "model-option" },
-                                                   h("input", {
-                                                       type: "radio",
-                                                       name: "model",
-                                                       value: "flux",
-                                                       checked: model === "flux",
-                                                       onChange: () => setModel("flux")
-                                                   }),
-                                                   h(
-                                                       "div",
-                                                       { className: "model-content" },
-                                                       h(
-                                                           "svg",
-                                                           { className: "model-icon", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor" },
-                                                           h("path", { d: "M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8z" }),
-                                                           h("path", { d: "M12 6v6l4 2" })
-                                                       ),
-                                                       h("div", { className: "model-name" }, "Flux"),
-                                                       h("div", { className: "model-desc" }, "Standard quality")
-                                                   )
-                                               ),
-                                               h(
-                                                   "label",
-                                                   { className: "model-option" },
-                                                   h("input", {
-                                                       type: "radio",
-                                                       name: "model",
-                                                       value: "turbo",
-                                                       checked: model === "turbo",
-                                                       onChange: () => setModel("turbo")
-                                                   }),
+                                               provider.models.map((option) =>
                                                    h(
-                                                       "div",
-                                                       { className: "model-content" },
-                                                       h(
-                                                           "svg",
-                                                           { className: "model-icon", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor" },
-                                                           h("path", { d: "M13 2L3 14h9l-1 8 10-12h-9l1-8z" })
-                                                       ),
-                                                       h("div", { className: "model-name" }, "Turbo"),
-                                                       h("div", { className: "model-desc" }, "High speed")
+                                                       "label",
+                                                       { key: option.id, className: "model-option" },
+                                                       h("input", {
+                                                           type: "radio",
+                                                           name: "fashionModel",
+                                                           value: option.id,
+                                                           checked: fashionModel === option.id,
+                                                           onChange: () => {
+                                                               setFashionModel(option.id);
+                                                               refreshFashionPreview({ model: option.id });
+                                                           }
+                                                       }),
+                                                       option.name
                                                    )
                                                )
                                            )
                                        ),
+                                        showFashionAdvanced &&
+                                            h(SeedControls, {
+                                                seed: fashionSeed,
+                                                onChange: setFashionSeed,
+                                                locked: fashionSeedLocked,
+                                                onLockedChange: setFashionSeedLocked,
+                                                provider,
+                                            }),
+                                        showFashionAdvanced &&
+                                            h(ReferenceImagePicker, {
+                                                id: "fashion-reference",
+                                                reference: fashionReference,
+                                                onChange: setFashionReference,
+                                                strength: fashionStrength,
+                                                onStrengthChange: setFashionStrength,
+                                                provider,
+                                                onError: (message) => showToast(message, { variant: "error" }),
+                                            }),
+                                        showFashionAdvanced &&
+                                            h(ProviderSettings, {
+                                                provider,
+                                                settings: providerSettings,
+                                                onChange: updateProviderSettings,
+                                            }),
                                         h(
                                             "div",
                                             { className: "action-buttons" },
@@ -1785,128 +7306,64 @@ const generateArt = async () => {
                                                 "button",
                                                 {
                                                     className: "generate-btn",
-                                                    onClick: generateArt,
-                                                    disabled: generatingArt,
+                                                    onClick: generateFashion,
+                                                    disabled: fashionTask.isActive,
                                                 },
-                                                generatingArt
+                                                fashionTask.isActive
                                                     ? h("div", {
                                                           className: "spinner",
                                                           style: { width: "16px", height: "16px", margin: "0 8px 0 0" },
                                                       })
-                                                    : h(
-                                                          "svg",
-                                                          {
-                                                              width: "16",
-                                                              height: "16",
-                                                              viewBox: "0 0 24 24",
-                                                              fill: "none",
-                                                              stroke: "currentColor",
-                                                              strokeWidth: "2",
-                                                          },
-                                                          h("path", {
-                                                              d: "m12,3 -1.912,5.813a2,2 0 0,1 -1.275,1.275L3,12l5.813,1.912a2,2 0 0,1 1.275,1.275L12,21l1.912,-5.813a2,2 0 0,1 1.275,-1.275L21,12l-5.813,-1.912a2,2 0 0,1 -1.275,-1.275L12,3Z",
-                                                          }),
-                                                      ),
-                                                generatingArt ? "Generating..." : "Generate Art",
+                                                    : renderIcon("sparkles"),
+                                                fashionTask.isActive ? "Generating..." : "Generate Fashion",
                                             ),
                                             h(
                                                 "button",
                                                 {
                                                     className: "random-btn",
-                                                    onClick: getRandomPrompt,
+                                                    onClick: getRandomFashionPrompt,
+                                                    disabled: fashionPrompts.items.length === 0,
                                                 },
                                                 "Random Prompt",
                                             ),
                                         ),
                                     ),
-                                    h(
-                                        "div",
-                                        { className: "generator-display" },
-                                        generatingArt
-                                            ? h(
-                                                  "div",
-                                                  { className: "loading-spinner" },
-                                                  h("div", { className: "spinner" }),
-                                                  h("p", { style: { color: "#d1d5db" } }, "Creating your masterpiece..."),
-                                                  h(
-                                                      "p",
-                                                      { style: { fontSize: "0.875rem", color: "#9ca3af", marginTop: "0.5rem" } },
-                                                      `Generating ${imageWidth} × ${imageHeight} image`,
-                                                  ),
-                                              )
-                                            : generatedImage
-                                              ? h(
-                                                    "div",
-                                                    { className: "generated-image-container" },
-                                                    h("img", {
-                                                        src: generatedImage,
-                                                        alt: "Generated artwork",
-                                                        className: "generated-image",
-                                                        style: { aspectRatio: `${imageWidth}/${imageHeight}` },
-                                                    }),
-                                                    h(
-                                                        "div",
-                                                        { className: "image-actions" },
-                                                        h(
-                                                            "button",
-                                                            {
-                                                                className: "action-btn",
-                                                                onClick: () => downloadImage(generatedImage, `ai-art-${imageWidth}x${imageHeight}.jpg`),
-                                                            },
-                                                            h(
-                                                                "svg",
-                                                                {
-                                                                    width: "16",
-                                                                    height: "16",
-                                                                    viewBox: "0 0 24 24",
-                                                                    fill: "none",
-                                                                    stroke: "currentColor",
-                                                                    strokeWidth: "2",
-                                                                },
-                                                                h("path", { d: "M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" }),
-                                                                h("polyline", { points: "7,10 12,15 17,10" }),
-                                                                h("line", { x1: "12", y1: "15", x2: "12", y2: "3" }),
-                                                            ),
-                                                            "Download",
-                                                        ),
-                                                        h(
-                                                            "button",
-                                                            {
-                                                                className: "action-btn",
-                                                                onClick: () => shareImage(generatedImage),
-                                                            },
-                                                            h(
-                                                                "svg",
-                                                                {
-                                                                    width: "16",
-                                                                    height: "16",
-                                                                    viewBox: "0 0 24 24",
-                                                                    fill: "none",
-                                                                    stroke: "currentColor",
-                                                                    strokeWidth: "2",
-                                                                },
-                                                                h("circle", { cx: "18", cy: "5", r: "3" }),
-                                                                h("circle", { cx: "6", cy: "12", r: "3" }),
-                                                                h("circle", { cx: "18", cy: "19", r: "3" }),
-                                                                h("line", { x1: "8.59", y1: "13.51", x2: "15.42", y2: "17.49" }),
-                                                                h("line", { x1: "15.41", y1: "6.51", x2: "8.59", y2: "10.49" }),
-                                                            ),
-                                                            "Share",
-                                                        ),
-                                                    ),
-                                                )
-                                              : null,
-                                    ),
+                                    h(GenerationDisplay, {
+                                        task: fashionTask,
+                                        provider,
+                                        imageUrl: generatedFashion,
+                                        alt: "Generated fashion",
+                                        width: fashionWidth,
+                                        height: fashionHeight,
+                                        busyMessage: "Creating your fashion masterpiece...",
+                                        onRetry: runFashionGeneration,
+                                        onDownload: () =>
+                                            downloadImage(
+                                                generatedFashion,
+                                                `ai-fashion-${fashionWidth}x${fashionHeight}.jpg`,
+                                                generationMetadata("fashion", fashionResultParams, fashionResultTime),
+                                            ),
+                                        onShare: () => shareGeneration("fashion", fashionResultParams),
+                                    }),
                                 ),
                             ),
+                            isContentEmpty(fashionDesigns) &&
+                                h(ContentState, { content: fashionDesigns, emptyMessage: "No showcase designs yet." }),
+                            fashionDesigns.items.length > 0 &&
+                                h(
+                                    "div",
+                                    { className: "gallery-facet-toolbar showcase-toolbar", style: { marginTop: "3rem" } },
+                                    h("span", { className: "gallery-result-count" }, "Designer showcase"),
+                                    h(BulkSelectButton, { items: fashionDesigns.items.map(collectionItemFrom.design) }),
+                                ),
                             h(
                                 "div",
                                 { className: "ai-gallery" },
-                                aiArtworks.map((artwork, index) =>
+                                fashionDesigns.items.map((design, index) =>
                                     h(
                                         "div",
                                         {
-                                            key: artwork.id,
+                                            key: design.id,
                                             className: "ai-card",
                                             style: { animationDelay: `${index * 0.1}s` },
                                         },
@@ -1914,67 +7371,114 @@ const generateArt = async () => {
                                             "div",
                                             { className: "ai-card-image" },
                                             h("img", {
-                                                src: artwork.image,
-                                                alt: artwork.title,
+                                                src: design.image,
+                                                alt: design.title,
                                             }),
-                                            h("div", { className: "ai-card-badge" }, artwork.algorithm),
+                                            h("div", { className: "ai-card-badge" }, "AI Fashion"),
+                                            h(SelectionCheckbox, { item: collectionItemFrom.design(design) }),
                                         ),
                                         h(
                                             "div",
                                             { className: "ai-card-content" },
-                                            h("h3", { className: "ai-card-title" }, artwork.title),
-                                            h("p", { className: "ai-card-style" }, artwork.style),
-                                            h("p", { className: "ai-card-prompt" }, `"${artwork.prompt}"`),
+                                            h("h3", { className: "ai-card-title" }, design.title),
+                                            h("p", { className: "ai-card-style" }, design.description),
+                                            h(
+                                                "div",
+                                                { className: "fashion-materials", style: { marginBottom: "0.75rem" } },
+                                                h("h4", {
+                                                    style: {
+                                                        fontSize: "0.75rem",
+                                                        color: "#d1d5db",
+                                                        marginBottom: "0.5rem",
+                                                        fontWeight: "600"
+                                                    }
+                                                }, "Materials:"),
+                                                h("div", {
+                                                    style: {
+                                                        display: "flex",
+                                                        flexWrap: "wrap",
+                                                        gap: "0.25rem"
+                                                    }
+                                                },
+                                                    design.materials.map(material =>
+                                                        h("span", {
+                                                            key: material,
+                                                            style: {
+                                                                fontSize: "0.6rem",
+                                                                background: "rgba(168, 85, 247, 0.3)",
+                                                                color: "#d1d5db",
+                                                                padding: "0.125rem 0.375rem",
+                                                                borderRadius: "0.25rem",
+                                                                border: "1px solid rgba(168, 85, 247, 0.5)"
+                                                            }
+                                                        }, material)
+                                                    )
+                                                )
+                                            ),
+                                            h(
+                                                "div",
+                                                { className: "fashion-features" },
+                                                h("h4", {
+                                                    style: {
+                                                        fontSize: "0.75rem",
+                                                        color: "#d1d5db",
+                                                        marginBottom: "0.5rem",
+                                                        fontWeight: "600"
+                                                    }
+                                                }, "Features:"),
+                                                h("div", null,
+                                                    design.features.map(feature =>
+                                                        h("div", {
+                                                            key: feature,
+                                                            style: {
+                                                                fontSize: "0.65rem",
+                                                                color: "#9ca3af",
+                                                                marginBottom: "0.25rem",
+                                                                display: "flex",
+                                                                alignItems: "center",
+                                                                gap: "0.25rem"
+                                                            }
+                                                        },
+                                                            h("span", {
+                                                                style: {
+                                                                    width: "4px",
+                                                                    height: "4px",
+                                                                    background: "#ec4899",
+                                                                    borderRadius: "50%"
+                                                                }
+                                                            }),
+                                                            feature
+                                                        )
+                                                    )
+                                                )
+                                            ),
                                             h(
                                                 "div",
                                                 { className: "ai-card-footer" },
-                                                h("span", { className: "ai-card-likes" }, `❤️ ${artwork.likes}`),
+                                                h("span", { className: "ai-card-likes" }, `✨ AI Designed`),
                                                 h(
                                                     "div",
                                                     { className: "ai-card-actions" },
+                                                    h(CollectButton, { item: collectionItemFrom.design(design) }),
                                                     h(
                                                         "button",
                                                         {
                                                             className: "ai-action-btn",
-                                                            onClick: () => downloadImage(artwork.image, `${artwork.title.replace(/\s+/g, "-").toLowerCase()}.jpg`),
+                                                            onClick: () =>
+                                                                downloadImage(design.image, `${design.title.replace(/\s+/g, "-").toLowerCase()}.jpg`, {
+                                                                    kind: "fashion",
+                                                                    prompt: design.description,
+                                                                }),
                                                         },
-                                                        h(
-                                                            "svg",
-                                                            {
-                                                                width: "16",
-                                                                height: "16",
-                                                                viewBox: "0 0 24 24",
-                                                                fill: "none",
-                                                                stroke: "currentColor",
-                                                                strokeWidth: "2",
-                                                            },
-                                                            h("path", { d: "M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" }),
-                                                            h("polyline", { points: "7,10 12,15 17,10" }),
-                                                            h("line", { x1: "12", y1: "15", x2: "12", y2: "3" }),
-                                                        ),
+                                                        renderIcon("download"),
                                                     ),
                                                     h(
                                                         "button",
                                                         {
                                                             className: "ai-action-btn",
-                                                            onClick: () => shareImage(artwork.image),
+                                                            onClick: () => shareImage(design.image),
                                                         },
-                                                        h(
-                                                            "svg",
-                                                            {
-                                                                width: "16",
-                                                                height: "16",
-                                                                viewBox: "0 0 24 24",
-                                                                fill: "none",
-                                                                stroke: "currentColor",
-                                                                strokeWidth: "2",
-                                                            },
-                                                            h("circle", { cx: "18", cy: "5", r: "3" }),
-                                                            h("circle", { cx: "6", cy: "12", r: "3" }),
-                                                            h("circle", { cx: "18", cy: "19", r: "3" }),
-                                                            h("line", { x1: "8.59", y1: "13.51", x2: "15.42", y2: "17.49" }),
-                                                            h("line", { x1: "15.41", y1: "6.51", x2: "8.59", y2: "10.49" }),
-                                                        ),
+                                                        renderIcon("share"),
                                                     ),
                                                 ),
                                             ),
@@ -1983,467 +7487,726 @@ const generateArt = async () => {
                                 ),
                             ),
                         ),
-                    selectedTab === "fashion" &&
+                    h(GenerationHistoryPanel, {
+                        kind: selectedTab,
+                        isOpen: historyOpen,
+                        onClose: closeHistory,
+                        onRestore: (record) => {
+                            restoreGeneration(record);
+                            setHistoryOpen(false);
+                        },
+                        onRerun: rerunGeneration,
+                    }),
+                    exportRequest &&
+                        h(ExportDialog, {
+                            ...exportRequest,
+                            onClose: () => setExportRequest(null),
+                            onError: (message) => showToast(message, { variant: "error" }),
+                        }),
+                    isInpainting &&
+                        generatedImage &&
+                        h(InpaintEditor, {
+                            imageUrl: generatedImage,
+                            params: artResultParams,
+                            provider,
+                            onApply: applyInpaint,
+                            onClose: () => setIsInpainting(false),
+                        }),
+                    isEditingImage &&
+                        generatedImage &&
+                        h(ImageEditor, {
+                            imageUrl: generatedImage,
+                            onExport: (imageBlob) =>
+                                setExportRequest({
+                                    imageBlob,
+                                    name: `ai-art-${artResultParams.width}x${artResultParams.height}-edited`,
+                                    metadata: generationMetadata("art", artResultParams, artResultTime),
+                                }),
+                            onClose: () => setIsEditingImage(false),
+                            onError: (message) => showToast(message, { variant: "error" }),
+                        }),
+                    h(ToastNotification, {
+                        isVisible: toastVisible,
+                        message: toastMessage,
+                        onClose: hideToast,
+                        variant: toastOptions.variant,
+                        action: toastOptions.action,
+                        duration: toastOptions.variant === "error" ? 8000 : 3000,
+                    }),
+                ),
+            );
+        };
+
+        // Content editor
+        // Enabled from the footer. Saved entries become local overrides of the published JSON, and
+        // export writes a file in the same { version, items } format for the content team to publish.
+        const EDITOR_MODE_KEY = "pictalens:editor-mode";
+
+        const contentEditorCollections = {
+            artworks: {
+                label: "Gallery artworks",
+                entryLabel: "artwork",
+                describe: (item) => `${item.artist} · ${item.category}`,
+                fields: [
+                    { key: "title", label: "Title" },
+                    { key: "artist", label: "Artist" },
+                    { key: "period", label: "Period" },
+                    { key: "year", label: "Year (optional)", type: "number", hint: "Approximate; negative for BCE. Used to sort by period." },
+                    { key: "category", label: "Category" },
+                    { key: "image", label: "Image URL" },
+                    { key: "description", label: "Description", multiline: true },
+                ],
+                createEntry: () => ({ title: "", artist: "", period: "", category: "", image: "", description: "" }),
+            },
+            timeline: {
+                label: "Timeline eras",
+                entryLabel: "era",
+                describe: (item) => `${item.period} · ${item.stylePreset.name} style`,
+                fields: [
+                    { key: "id", label: "Era ID", hint: "Lowercase letters, digits and dashes; used by style presets." },
+                    { key: "era", label: "Era" },
+                    { key: "period", label: "Period" },
+                    { key: "title", label: "Title" },
+                    { key: "description", label: "Description", multiline: true },
+                    { key: "image", label: "Image URL" },
+                    { key: "stylePreset.name", label: "Style name" },
+                    { key: "stylePreset.prompt", label: "Style prompt", multiline: true },
+                    { key: "stylePreset.negativePrompt", label: "Style negative prompt (optional)" },
+                ],
+                createEntry: () => ({
+                    id: "",
+                    era: "",
+                    period: "",
+                    title: "",
+                    description: "",
+                    image: "",
+                    stylePreset: { name: "", prompt: "", negativePrompt: "" },
+                }),
+            },
+        };
+
+        const getFieldValue = (entry, key) => key.split(".").reduce((value, part) => (value ? value[part] : undefined), entry);
+
+        const setFieldValue = (entry, key, value) => {
+            const [head, ...rest] = key.split(".");
+            return { ...entry, [head]: rest.length ? setFieldValue(entry[head] || {}, rest.join("."), value) : value };
+        };
+
+        // Runs the collection schema over one entry and maps messages back to form fields
+        const validateContentDraft = (name, draft, items, originalId) => {
+            const messages = [];
+            checkContentValue(draft, contentCollections[name].item, "entry", messages);
+
+            const errors = {};
+            messages.forEach((message) => {
+                const match = message.match(/^entry\.([\w.]+) (.*)$/);
+                if (match && !errors[match[1]]) errors[match[1]] = match[2];
+            });
+            if (name === "timeline" && draft.id && !/^[a-z0-9-]+$/.test(draft.id)) {
+                errors.id = "may only contain lowercase letters, digits and dashes";
+            }
+            if (draft.id !== undefined && items.some((item) => item.id === draft.id && item.id !== originalId)) {
+                errors.id = "is already used by another entry";
+            }
+            return errors;
+        };
+
+        const ContentEditor = ({ onClose }) => {
+            const [collectionName, setCollectionName] = useState("artworks");
+            const content = useContent(collectionName);
+            const [editingId, setEditingId] = useState(null);
+            const [draft, setDraft] = useState(null);
+            const [showErrors, setShowErrors] = useState(false);
+            const [importErrors, setImportErrors] = useState([]);
+            const [notice, setNotice] = useState("");
+            const importInputRef = useRef(null);
+
+            const editor = contentEditorCollections[collectionName];
+            // While the collection is loading or failed, `content.items` is empty; writing an override then would
+            // replace the published collection, so every editing action waits for the real items
+            const isReady = content.status === "ready";
+
+            // Artwork ids are numeric and assigned here; era ids are typed in by the editor
+            const entry = useMemo(
+                () =>
+                    draft && editingId === "new" && collectionName === "artworks"
+                        ? { ...draft, id: content.items.reduce((max, item) => Math.max(max, item.id), 0) + 1 }
+                        : draft,
+                [draft, editingId, collectionName, content.items],
+            );
+            const fieldErrors = useMemo(
+                () => (entry ? validateContentDraft(collectionName, entry, content.items, editingId) : {}),
+                [collectionName, entry, content.items, editingId],
+            );
+
+            const closeDraft = () => {
+                setEditingId(null);
+                setDraft(null);
+                setShowErrors(false);
+            };
+
+            const switchCollection = (name) => {
+                closeDraft();
+                setImportErrors([]);
+                setNotice("");
+                setCollectionName(name);
+            };
+
+            const startEditing = (item) => {
+                setEditingId(item ? item.id : "new");
+                setDraft(item ? structuredClone(item) : editor.createEntry());
+                setShowErrors(false);
+                setNotice("");
+            };
+
+            const saveDraft = () => {
+                if (!isReady) return;
+                if (Object.keys(fieldErrors).length) {
+                    setShowErrors(true);
+                    return;
+                }
+
+                const items =
+                    editingId === "new"
+                        ? [...content.items, entry]
+                        : content.items.map((item) => (item.id === editingId ? entry : item));
+                setContentOverride(collectionName, items);
+                setNotice(`Saved "${entry.title}" locally.`);
+                closeDraft();
+            };
+
+            const deleteEntry = (item) => {
+                if (!isReady || !window.confirm(`Delete "${item.title}"? Reset to published brings it back.`)) return;
+                setContentOverride(
+                    collectionName,
+                    content.items.filter((entry) => entry.id !== item.id),
+                );
+                if (editingId === item.id) closeDraft();
+                setNotice(`Deleted "${item.title}".`);
+            };
+
+            const resetCollection = () => {
+                if (!window.confirm(`Discard all local edits to ${editor.label.toLowerCase()}?`)) return;
+                setContentOverride(collectionName, null);
+                closeDraft();
+                setNotice("Restored the published content.");
+            };
+
+            const exportCollection = () => {
+                const file = contentCollections[collectionName].file;
+                downloadJson({ version: CONTENT_VERSION, items: content.items }, file.split("/").pop());
+            };
+
+            const importCollection = async (e) => {
+                const file = e.target.files[0];
+                e.target.value = "";
+                if (!file || !isReady) return;
+
+                try {
+                    let data;
+                    try {
+                        data = JSON.parse(await file.text());
+                    } catch (error) {
+                        throw createContentError(file.name, `${file.name} is not valid JSON`);
+                    }
+                    const items = parseContentDocument(contentCollections[collectionName], data, file.name);
+                    setContentOverride(collectionName, items);
+                    setImportErrors([]);
+                    closeDraft();
+                    setNotice(`Imported ${items.length} entries from ${file.name}.`);
+                } catch (error) {
+                    setNotice("");
+                    setImportErrors([error.message, ...(error.details || [])]);
+                }
+            };
+
+            const renderField = (field) => {
+                const id = `content-field-${field.key.replace(/\./g, "-")}`;
+                const error = showErrors && fieldErrors[field.key];
+                const value = getFieldValue(draft, field.key);
+                const props = {
+                    id,
+                    className: field.multiline ? "form-textarea content-editor-textarea" : "dimension-input",
+                    value: value === undefined || value === null ? "" : value,
+                    "aria-invalid": Boolean(error),
+                    onChange: (e) => {
+                        const { value } = e.target;
+                        const parsed = field.type === "number" && value !== "" ? Number(value) : value;
+                        setDraft((prev) => setFieldValue(prev, field.key, parsed));
+                    },
+                };
+
+                return h(
+                    "div",
+                    { key: field.key, className: "form-group" },
+                    h("label", { className: "form-label", htmlFor: id }, field.label),
+                    h(field.multiline ? "textarea" : "input", field.multiline ? props : { ...props, type: field.type || "text" }),
+                    error && h("p", { className: "content-editor-error", role: "alert" }, `${field.label} ${error}`),
+                    !error && field.hint && h("p", { className: "form-hint" }, field.hint),
+                );
+            };
+
+            // Mirrors the markup of the gallery and timeline cards so the preview matches the live site
+            const renderPreview = () =>
+                collectionName === "artworks"
+                    ? h(
+                          "div",
+                          { className: "gallery-card content-editor-preview" },
+                          h(
+                              "div",
+                              { className: "gallery-card-image" },
+                              draft.image && h("img", { src: draft.image, alt: draft.title }),
+                              draft.period && h("div", { className: "gallery-card-badge" }, draft.period),
+                          ),
+                          h(
+                              "div",
+                              { className: "gallery-card-content" },
+                              h("h3", { className: "gallery-card-title" }, draft.title || "Untitled artwork"),
+                              h("p", { className: "gallery-card-artist" }, draft.artist),
+                              h("p", { className: "gallery-card-desc" }, draft.description),
+                          ),
+                      )
+                    : h(
+                          "div",
+                          { className: "content-editor-preview" },
+                          h("div", { className: "timeline-badge" }, draft.period || "Period"),
+                          h("h3", { className: "timeline-title" }, draft.title || "Untitled era"),
+                          h(
+                              "div",
+                              { className: "timeline-card" },
+                              draft.image && h("img", { src: draft.image, alt: draft.title }),
+                              h(
+                                  "div",
+                                  { className: "timeline-card-content" },
+                                  h("h4", { className: "timeline-card-title" }, `${draft.era || "New"} Era`),
+                                  h("p", { className: "timeline-card-desc" }, draft.description),
+                              ),
+                          ),
+                      );
+
+            return h(
+                "section",
+                { id: "editor", className: "section" },
+                h(
+                    "div",
+                    { className: "container" },
+                    h(
+                        "div",
+                        { className: "generator-card content-editor" },
                         h(
                             "div",
-                            { className: "animate-fadeIn" },
+                            { className: "generator-header" },
                             h(
                                 "div",
-                                { className: "generator-card" },
+                                null,
+                                h("h3", { className: "generator-title" }, "Content Editor"),
                                 h(
-                                    "div",
-                                    { className: "generator-header" },
-                                    h(
-                                        "div",
-                                        { className: "generator-title" },
-                                        h(
-                                            "svg",
-                                            {
-                                                width: "24",
-                                                height: "24",
-                                                viewBox: "0 0 24 24",
-                                                fill: "none",
-                                                stroke: "currentColor",
-                                                strokeWidth: "2",
-                                                style: { color: "#ec4899" },
-                                            },
-                                            h("rect", { x: "2", y: "3", width: "20", height: "14", rx: "2", ry: "2" }),
-                                            h("line", { x1: "8", y1: "21", x2: "16", y2: "21" }),
-                                            h("line", { x1: "12", y1: "17", x2: "12", y2: "21" }),
-                                        ),
-                                        "AI Fashion Generator",
-                                    ),
-                                    h(
-                                        "button",
-                                        {
-                                            className: "random-btn",
-                                            onClick: () => setShowFashionAdvanced(!showFashionAdvanced),
-                                        },
-                                        h(
-                                            "svg",
-                                            {
-                                                width: "16",
-                                                height: "16",
-                                                viewBox: "0 0 24 24",
-                                                fill: "none",
-                                                stroke: "currentColor",
-                                                strokeWidth: "2",
-                                            },
-                                            h("circle", { cx: "12", cy: "12", r: "3" }),
-                                            h("path", { d: "m12,1 0,6" }),
-                                            h("path", { d: "m12,17 0,6" }),
-                                            h("path", { d: "m4.22,4.22 4.24,4.24" }),
-                                            h("path", { d: "m15.54,15.54 4.24,4.24" }),
-                                            h("path", { d: "m1,12 6,0" }),
-                                            h("path", { d: "m17,12 6,0" }),
-                                            h("path", { d: "m4.22,19.78 4.24,-4.24" }),
-                                            h("path", { d: "m15.54,8.46 4.24,-4.24" }),
-                                        ),
-                                        showFashionAdvanced ? "Hide" : "Show",
-                                        " Advanced",
-                                    ),
+                                    "p",
+                                    { className: "form-hint" },
+                                    content.isCustomized
+                                        ? "Showing your local edits. Export them to publish."
+                                        : "Showing the published content.",
                                 ),
+                            ),
+                            h(
+                                "div",
+                                { className: "generator-header-actions" },
+                                h("button", { type: "button", className: "action-btn", onClick: onClose }, "Exit editor"),
+                            ),
+                        ),
+                        h(
+                            "div",
+                            { className: "content-editor-toolbar" },
+                            Object.entries(contentEditorCollections).map(([name, item]) =>
                                 h(
-                                    "div",
-                                    { className: "generator-content" },
+                                    "button",
+                                    {
+                                        key: name,
+                                        type: "button",
+                                        className: `preset-btn ${collectionName === name ? "active" : ""}`,
+                                        "aria-pressed": collectionName === name,
+                                        onClick: () => switchCollection(name),
+                                    },
+                                    item.label,
+                                ),
+                            ),
+                            h("span", { className: "content-editor-spacer" }),
+                            h(
+                                "button",
+                                { type: "button", className: "preset-btn", onClick: () => startEditing(null), disabled: !isReady },
+                                `+ New ${editor.entryLabel}`,
+                            ),
+                            h(
+                                "button",
+                                {
+                                    type: "button",
+                                    className: "preset-btn",
+                                    onClick: exportCollection,
+                                    disabled: !isReady,
+                                },
+                                "Export JSON",
+                            ),
+                            h(
+                                "button",
+                                {
+                                    type: "button",
+                                    className: "preset-btn",
+                                    onClick: () => importInputRef.current.click(),
+                                    disabled: !isReady,
+                                },
+                                "Import JSON",
+                            ),
+                            h("input", {
+                                ref: importInputRef,
+                                type: "file",
+                                accept: "application/json,.json",
+                                hidden: true,
+                                onChange: importCollection,
+                            }),
+                            content.isCustomized &&
+                                h(
+                                    "button",
+                                    { type: "button", className: "preset-btn history-delete-btn", onClick: resetCollection },
+                                    "Reset to published",
+                                ),
+                        ),
+                        notice && h("p", { className: "form-hint", role: "status" }, notice),
+                        importErrors.length > 0 &&
+                            h(
+                                "div",
+                                { className: "content-state content-state-error", role: "alert" },
+                                h("p", null, importErrors[0]),
+                                importErrors.length > 1 &&
                                     h(
-                                        "div",
-                                        { className: "generator-controls" },
-                                        h(
-                                            "div",
-                                            { className: "form-group" },
-                                            h("label", { className: "form-label" }, "Describe your fashion vision"),
-                                            h("textarea", {
-                                                className: "form-textarea",
-                                                placeholder: "Enter your creative prompt here...",
-                                                value: fashionPrompt,
-                                                onChange: (e) => setFashionPrompt(e.target.value),
-                                            }),
-                                        ),
-                                        showFashionAdvanced &&
-                                            h(
-                                                "div",
-                                                { className: "form-group" },
-                                                h("label", { className: "form-label" }, "Fashion Dimensions"),
-                                                h(
-                                                    "div",
-                                                    { className: "dimension-presets" },
-                                                    dimensionPresets.map((preset) =>
-                                                        h(
-                                                            "button",
-                                                            {
-                                                                key: preset.name,
-                                                                className: `preset-btn ${fashionWidth === preset.width && fashionHeight === preset.height ? "active" : ""}`,
-                                                                onClick: () => {
-                                                                    setFashionWidth(preset.width);
-                                                                    setFashionHeight(preset.height);
-                                                                },
-                                                            },
-                                                            `${preset.name} ${preset.width}×${preset.height}`,
-                                                        ),
-                                                    ),
-                                                ),
-                                                h(
-                                                    "div",
-                                                    { className: "dimension-inputs" },
-                                                    h(
-                                                        "div",
-                                                        null,
-                                                        h(
-                                                            "label",
-                                                            { className: "form-label", style: { fontSize: "0.75rem" } },
-                                                            "Width",
-                                                        ),
-                                                        h("input", {
-                                                            type: "number",
-                                                            min: "256",
-                                                            max: "1920",
-                                                            step: "64",
-                                                            value: fashionWidth,
-                                                            onChange: (e) => setFashionWidth(Number(e.target.value)),
-                                                            className: "dimension-input",
-                                                        }),
-                                                    ),
-                                                    h(
-                                                        "div",
-                                                        null,
-                                                        h(
-                                                            "label",
-                                                            { className: "form-label", style: { fontSize: "0.75rem" } },
-                                                            "Height",
-                                                        ),
-                                                        h("input", {
-                                                            type: "number",
-                                                            min: "256",
-                                                            max: "1920",
-                                                            step: "64",
-                                                            value: fashionHeight,
-                                                            onChange: (e) => setFashionHeight(Number(e.target.value)),
-                                                            className: "dimension-input",
-                                                        }),
-                                                    ),
-                                                ),
-                                            ),
-                                       h(
-                                           "div",
-                                           { className: "form-group" },
-                                           h("label", { className: "form-label" }, "AI Model"),
-                                           h(
-                                               "div",
-                                               { className: "model-options" },
-                                               h(
-                                                   "label",
-                                                   { className: "model-option" },
-                                                   h("input", {
-                                                       type: "radio",
-                                                       name: "fashionModel",
-                                                       value: "flux",
-                                                       checked: fashionModel === "flux",
-                                                       onChange: () => setFashionModel("flux")
-                                                   }),
-                                                   "Flux"
-                                               ),
-                                               h(
-                                                   "label",
-                                                   { className: "model-option" },
-                                                   h("input", {
-                                                       type: "radio",
-                                                       name: "fashionModel",
-                                                       value: "turbo",
-                                                       checked: fashionModel === "turbo",
-                                                       onChange: () => setFashionModel("turbo")
-                                                   }),
-                                                   "Turbo"
-                                               )
-                                           )
-                                       ),
-                                        h(
-                                            "div",
-                                            { className: "action-buttons" },
-                                            h(
-                                                "button",
-                                                {
-                                                    className: "generate-btn",
-                                                    onClick: generateFashion,
-                                                    disabled: generatingFashion,
-                                                },
-                                                generatingFashion
-                                                    ? h("div", {
-                                                          className: "spinner",
-                                                          style: { width: "16px", height: "16px", margin: "0 8px 0 0" },
-                                                      })
-                                                    : h(
-                                                          "svg",
-                                                          {
-                                                              width: "16",
-                                                              height: "16",
-                                                              viewBox: "0 0 24 24",
-                                                              fill: "none",
-                                                              stroke: "currentColor",
-                                                              strokeWidth: "2",
-                                                          },
-                                                          h("path", {
-                                                              d: "m12,3 -1.912,5.813a2,2 0 0,1 -1.275,1.275L3,12l5.813,1.912a2,2 0 0,1 1.275,1.275L12,21l1.912,-5.813a2,2 0 0,1 1.275,-1.275L21,12l-5.813,-1.912a2,2 0 0,1 -1.275,-1.275L12,3Z",
-                                                          }),
-                                                      ),
-                                                generatingFashion ? "Generating..." : "Generate Fashion",
-                                            ),
+                                        "ul",
+                                        { className: "content-state-details" },
+                                        importErrors.slice(1).map((detail) => h("li", { key: detail }, detail)),
+                                    ),
+                            ),
+                        h(
+                            "div",
+                            { className: "content-editor-body" },
+                            h(
+                                "ul",
+                                { className: "history-list content-editor-list" },
+                                content.status !== "ready" &&
+                                    h("li", null, h(ContentState, { content, emptyMessage: "" })),
+                                content.items.map((item) =>
+                                    h(
+                                        "li",
+                                        { key: item.id, className: `history-item ${editingId === item.id ? "comparing" : ""}` },
+                                        h("img", { src: item.image, alt: item.title, className: "history-thumb", loading: "lazy" }),
+                                        h(
+                                            "div",
+                                            { className: "history-item-body" },
+                                            h("p", { className: "history-item-prompt" }, item.title),
+                                            h("p", { className: "history-item-meta" }, editor.describe(item)),
                                             h(
-                                                "button",
-                                                {
-                                                    className: "random-btn",
-                                                    onClick: getRandomFashionPrompt,
-                                                },
-                                                "Random Prompt",
+                                                "div",
+                                                { className: "history-item-actions" },
+                                                h(
+                                                    "button",
+                                                    { type: "button", className: "preset-btn", onClick: () => startEditing(item) },
+                                                    "Edit",
+                                                ),
+                                                h(
+                                                    "button",
+                                                    {
+                                                        type: "button",
+                                                        className: "preset-btn history-delete-btn",
+                                                        onClick: () => deleteEntry(item),
+                                                    },
+                                                    "Delete",
+                                                ),
                                             ),
                                         ),
                                     ),
+                                ),
+                            ),
+                            draft
+                                ? h(
+                                      "form",
+                                      {
+                                          className: "content-editor-form",
+                                          noValidate: true,
+                                          onSubmit: (e) => {
+                                              e.preventDefault();
+                                              saveDraft();
+                                          },
+                                      },
+                                      h(
+                                          "h4",
+                                          { className: "form-label" },
+                                          editingId === "new" ? `New ${editor.entryLabel}` : `Editing "${draft.title}"`,
+                                      ),
+                                      editor.fields.map(renderField),
+                                      h(
+                                          "div",
+                                          { className: "action-buttons" },
+                                          h("button", { type: "submit", className: "generate-btn", disabled: !isReady }, "Save"),
+                                          h("button", { type: "button", className: "random-btn", onClick: closeDraft }, "Cancel"),
+                                      ),
+                                      h("h4", { className: "form-label" }, "Preview"),
+                                      renderPreview(),
+                                  )
+                                : h(
+                                      "p",
+                                      { className: "history-empty" },
+                                      `Pick an entry to edit, or add a new ${editor.entryLabel}.`,
+                                  ),
+                        ),
+                    ),
+                ),
+            );
+        };
+
+        // Favourites and named collections, one view per collection at #collections/<id>
+        const CollectionsSection = () => {
+            const collections = useCollections();
+            const { records } = useGenerationHistory();
+            const route = useRoute();
+            const [newName, setNewName] = useState("");
+            const [draggedKey, setDraggedKey] = useState(null);
+
+            const routedId = route.section === "collections" ? route.segments[0] : null;
+            const selected = collections.find((collection) => collection.id === routedId) || collections[0];
+
+            const selectCollection = (id) => navigate({ section: "collections", segments: [id] });
+
+            const createCollection = (e) => {
+                e.preventDefault();
+                const name = newName.trim();
+                if (!name) return;
+                const collection = collectionsStore.create(name);
+                setNewName("");
+                selectCollection(collection.id);
+            };
+
+            const renameCollection = () => {
+                const name = window.prompt("Rename collection", selected.name);
+                if (name && name.trim()) collectionsStore.rename(selected.id, name.trim());
+            };
+
+            const deleteCollection = () => {
+                if (!window.confirm(`Delete the collection "${selected.name}"? The items themselves are not affected.`)) return;
+                collectionsStore.remove(selected.id);
+                selectCollection(FAVOURITES_ID);
+            };
+
+            const exportCollection = () => {
+                const slug = selected.name.replace(/\s+/g, "-").toLowerCase();
+                downloadJson(
+                    { version: 1, name: selected.name, exportedAt: new Date().toISOString(), items: selected.items },
+                    `pictalens-collection-${slug}.json`,
+                );
+            };
+
+            // Generations saved from a blob have no URL of their own, so use the live history copy
+            const imageFor = (item) => {
+                if (item.type !== "generation") return item.image;
+                const record = records.find((entry) => entry.id === item.id);
+                return record ? getHistoryImageSrc(record) : item.image;
+            };
+
+            const dropOn = (index) => {
+                if (draggedKey) collectionsStore.moveItem(selected.id, draggedKey, index);
+                setDraggedKey(null);
+            };
+
+            return h(
+                "section",
+                { id: "collections", className: "section" },
+                h(
+                    "div",
+                    { className: "container" },
+                    h(
+                        "div",
+                        { className: "text-center animate-fadeInUp" },
+                        h(
+                            "h2",
+                            { className: "section-title" },
+                            h(
+                                "span",
+                                {
+                                    style: {
+                                        background: "linear-gradient(to right, #ffffff, #fbbf24)",
+                                        WebkitBackgroundClip: "text",
+                                        backgroundClip: "text",
+                                        color: "transparent",
+                                    },
+                                },
+                                "My Collections",
+                            ),
+                        ),
+                        h(
+                            "p",
+                            { className: "section-description" },
+                            "Favourites and collections from the gallery, the showcase and your own generations",
+                        ),
+                    ),
+                    h(
+                        "div",
+                        { className: "generator-card collections-layout" },
+                        h(
+                            "nav",
+                            { className: "collections-sidebar", "aria-label": "Collections" },
+                            h(
+                                "ul",
+                                { className: "collections-nav" },
+                                collections.map((collection) =>
                                     h(
-                                        "div",
-                                        { className: "generator-display" },
-                                        generatingFashion
-                                            ? h(
-                                                  "div",
-                                                  { className: "loading-spinner" },
-                                                  h("div", { className: "spinner" }),
-                                                  h(
-                                                      "p",
-                                                      { style: { color: "#d1d5db" } },
-                                                      "Creating your fashion masterpiece...",
-                                                  ),
-                                                  h(
-                                                      "p",
-                                                      { style: { fontSize: "0.875rem", color: "#9ca3af", marginTop: "0.5rem" } },
-                                                      `Generating ${fashionWidth} × ${fashionHeight} image`,
-                                                  ),
-                                              )
-                                            : generatedFashion
-                                              ? h(
-                                                    "div",
-                                                    { className: "generated-image-container" },
-                                                    h("img", {
-                                                        src: generatedFashion,
-                                                        alt: "Generated fashion",
-                                                        className: "generated-image",
-                                                        style: { aspectRatio: `${fashionWidth}/${fashionHeight}` },
-                                                    }),
-                                                    h(
-                                                        "div",
-                                                        { className: "image-actions" },
-                                                        h(
-                                                            "button",
-                                                            {
-                                                                className: "action-btn",
-                                                                onClick: () =>
-                                                                    downloadImage(generatedFashion, `ai-fashion-${fashionWidth}x${fashionHeight}.jpg`),
-                                                            },
-                                                            h(
-                                                                "svg",
-                                                                {
-                                                                    width: "16",
-                                                                    height: "16",
-                                                                    viewBox: "0 0 24 24",
-                                                                    fill: "none",
-                                                                    stroke: "currentColor",
-                                                                    strokeWidth: "2",
-                                                                },
-                                                                h("path", { d: "M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" }),
-                                                                h("polyline", { points: "7,10 12,15 17,10" }),
-                                                                h("line", { x1: "12", y1: "15", x2: "12", y2: "3" }),
-                                                            ),
-                                                            "Download",
-                                                        ),
-                                                        h(
-                                                            "button",
-                                                            {
-                                                                className: "action-btn",
-                                                                onClick: () => shareImage(generatedFashion),
-                                                            },
-                                                            h(
-                                                                "svg",
-                                                                {
-                                                                    width: "16",
-                                                                    height: "16",
-                                                                    viewBox: "0 0 24 24",
-                                                                    fill: "none",
-                                                                    stroke: "currentColor",
-                                                                    strokeWidth: "2",
-                                                                },
-                                                                h("circle", { cx: "18", cy: "5", r: "3" }),
-                                                                h("circle", { cx: "6", cy: "12", r: "3" }),
-                                                                h("circle", { cx: "18", cy: "19", r: "3" }),
-                                                                h("line", { x1: "8.59", y1: "13.51", x2: "15.42", y2: "17.49" }),
-                                                                h("line", { x1: "15.41", y1: "6.51", x2: "8.59", y2: "10.49" }),
-                                                            ),
-                                                            "Share",
-                                                        ),
-                                                    ),
-                                                )
-                                              : null,
+                                        "li",
+                                        { key: collection.id },
+                                        h(
+                                            "button",
+                                            {
+                                                type: "button",
+                                                className: `preset-btn ${collection.id === selected.id ? "active" : ""}`,
+                                                "aria-current": collection.id === selected.id ? "page" : undefined,
+                                                onClick: () => selectCollection(collection.id),
+                                            },
+                                            `${collection.id === FAVOURITES_ID ? "★ " : ""}${collection.name}`,
+                                            h("span", { className: "facet-count" }, collection.items.length),
+                                        ),
                                     ),
                                 ),
                             ),
+                            h(
+                                "form",
+                                { className: "collect-menu-form", onSubmit: createCollection },
+                                h("input", {
+                                    className: "dimension-input",
+                                    placeholder: "New collection",
+                                    "aria-label": "New collection name",
+                                    value: newName,
+                                    onChange: (e) => setNewName(e.target.value),
+                                }),
+                                h("button", { type: "submit", className: "preset-btn", disabled: !newName.trim() }, "Create"),
+                            ),
+                        ),
+                        h(
+                            "div",
+                            { className: "collections-view" },
                             h(
                                 "div",
-                                {
-                                    className: "ai-gallery",
-                                    style: { marginTop: "3rem" }
-                                },
-                                fashionDesigns.map((design, index) =>
+                                { className: "generator-header" },
+                                h(
+                                    "div",
+                                    null,
+                                    h("h3", { className: "generator-title" }, selected.name),
                                     h(
-                                        "div",
+                                        "p",
+                                        { className: "form-hint" },
+                                        `${selected.items.length} ${selected.items.length === 1 ? "item" : "items"}`,
+                                    ),
+                                ),
+                                h(
+                                    "div",
+                                    { className: "generator-header-actions" },
+                                    h(BulkSelectButton, { items: selected.items }),
+                                    selected.id !== FAVOURITES_ID &&
+                                        h("button", { type: "button", className: "preset-btn", onClick: renameCollection }, "Rename"),
+                                    h(
+                                        "button",
                                         {
-                                            key: design.id,
-                                            className: "ai-card",
-                                            style: { animationDelay: `${index * 0.1}s` },
+                                            type: "button",
+                                            className: "preset-btn",
+                                            onClick: exportCollection,
+                                            disabled: selected.items.length === 0,
                                         },
+                                        "Export JSON",
+                                    ),
+                                    selected.id !== FAVOURITES_ID &&
                                         h(
-                                            "div",
-                                            { className: "ai-card-image" },
-                                            h("img", {
-                                                src: design.image,
-                                                alt: design.title,
-                                            }),
-                                            h("div", { className: "ai-card-badge" }, "AI Fashion"),
+                                            "button",
+                                            { type: "button", className: "preset-btn history-delete-btn", onClick: deleteCollection },
+                                            "Delete",
                                         ),
+                                ),
+                            ),
+                            selected.items.length === 0 &&
+                                h(
+                                    "p",
+                                    { className: "history-empty" },
+                                    "Nothing here yet. Use ☆ or + on any artwork, showcase card or generation to add it.",
+                                ),
+                            h(
+                                "ol",
+                                { className: "history-list" },
+                                selected.items.map((item, index) => {
+                                    const key = collectionItemKey(item);
+                                    const image = imageFor(item);
+                                    return h(
+                                        "li",
+                                        {
+                                            key,
+                                            className: `history-item ${draggedKey === key ? "comparing" : ""}`,
+                                            draggable: true,
+                                            onDragStart: (e) => {
+                                                e.dataTransfer.effectAllowed = "move";
+                                                setDraggedKey(key);
+                                            },
+                                            onDragOver: (e) => e.preventDefault(),
+                                            onDrop: (e) => {
+                                                e.preventDefault();
+                                                dropOn(index);
+                                            },
+                                            onDragEnd: () => setDraggedKey(null),
+                                        },
+                                        h(SelectionCheckbox, { item }),
+                                        image
+                                            ? h("img", { src: image, alt: item.title, className: "history-thumb", loading: "lazy" })
+                                            : h("div", { className: "history-thumb history-thumb-missing" }, "Image unavailable"),
                                         h(
                                             "div",
-                                            { className: "ai-card-content" },
-                                            h("h3", { className: "ai-card-title" }, design.title),
-                                            h("p", { className: "ai-card-style" }, design.description),
-                                            h(
-                                                "div",
-                                                { className: "fashion-materials", style: { marginBottom: "0.75rem" } },
-                                                h("h4", {
-                                                    style: {
-                                                        fontSize: "0.75rem",
-                                                        color: "#d1d5db",
-                                                        marginBottom: "0.5rem",
-                                                        fontWeight: "600"
-                                                    }
-                                                }, "Materials:"),
-                                                h("div", {
-                                                    style: {
-                                                        display: "flex",
-                                                        flexWrap: "wrap",
-                                                        gap: "0.25rem"
-                                                    }
-                                                },
-                                                    design.materials.map(material =>
-                                                        h("span", {
-                                                            key: material,
-                                                            style: {
-                                                                fontSize: "0.6rem",
-                                                                background: "rgba(168, 85, 247, 0.3)",
-                                                                color: "#d1d5db",
-                                                                padding: "0.125rem 0.375rem",
-                                                                borderRadius: "0.25rem",
-                                                                border: "1px solid rgba(168, 85, 247, 0.5)"
-                                                            }
-                                                        }, material)
-                                                    )
-                                                )
-                                            ),
+                                            { className: "history-item-body" },
+                                            h("p", { className: "history-item-prompt", title: item.title }, item.title),
                                             h(
-                                                "div",
-                                                { className: "fashion-features" },
-                                                h("h4", {
-                                                    style: {
-                                                        fontSize: "0.75rem",
-                                                        color: "#d1d5db",
-                                                        marginBottom: "0.5rem",
-                                                        fontWeight: "600"
-                                                    }
-                                                }, "Features:"),
-                                                h("div", null,
-                                                    design.features.map(feature =>
-                                                        h("div", {
-                                                            key: feature,
-                                                            style: {
-                                                                fontSize: "0.65rem",
-                                                                color: "#9ca3af",
-                                                                marginBottom: "0.25rem",
-                                                                display: "flex",
-                                                                alignItems: "center",
-                                                                gap: "0.25rem"
-                                                            }
-                                                        },
-                                                            h("span", {
-                                                                style: {
-                                                                    width: "4px",
-                                                                    height: "4px",
-                                                                    background: "#ec4899",
-                                                                    borderRadius: "50%"
-                                                                }
-                                                            }),
-                                                            feature
-                                                        )
-                                                    )
-                                                )
+                                                "p",
+                                                { className: "history-item-meta" },
+                                                `${COLLECTION_ITEM_TYPES[item.type]} · ${item.subtitle}`,
                                             ),
                                             h(
                                                 "div",
-                                                { className: "ai-card-footer" },
-                                                h("span", { className: "ai-card-likes" }, `✨ AI Designed`),
+                                                { className: "history-item-actions" },
                                                 h(
-                                                    "div",
-                                                    { className: "ai-card-actions" },
-                                                    h(
-                                                        "button",
-                                                        {
-                                                            className: "ai-action-btn",
-                                                            onClick: () => downloadImage(design.image, `${design.title.replace(/\s+/g, "-").toLowerCase()}.jpg`),
-                                                        },
-                                                        h(
-                                                            "svg",
-                                                            {
-                                                                width: "16",
-                                                                height: "16",
-                                                                viewBox: "0 0 24 24",
-                                                                fill: "none",
-                                                                stroke: "currentColor",
-                                                                strokeWidth: "2",
-                                                            },
-                                                            h("path", { d: "M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" }),
-                                                            h("polyline", { points: "7,10 12,15 17,10" }),
-                                                            h("line", { x1: "12", y1: "15", x2: "12", y2: "3" }),
-                                                        ),
-                                                    ),
-                                                    h(
-                                                        "button",
-                                                        {
-                                                            className: "ai-action-btn",
-                                                            onClick: () => shareImage(design.image),
-                                                        },
-                                                        h(
-                                                            "svg",
-                                                            {
-                                                                width: "16",
-                                                                height: "16",
-                                                                viewBox: "0 0 24 24",
-                                                                fill: "none",
-                                                                stroke: "currentColor",
-                                                                strokeWidth: "2",
-                                                            },
-                                                            h("circle", { cx: "18", cy: "5", r: "3" }),
-                                                            h("circle", { cx: "6", cy: "12", r: "3" }),
-                                                            h("circle", { cx: "18", cy: "19", r: "3" }),
-                                                            h("line", { x1: "8.59", y1: "13.51", x2: "15.42", y2: "17.49" }),
-                                                            h("line", { x1: "15.41", y1: "6.51", x2: "8.59", y2: "10.49" }),
-                                                        ),
-                                                    ),
+                                                    "button",
+                                                    {
+                                                        type: "button",
+                                                        className: "preset-btn",
+                                                        disabled: index === 0,
+                                                        onClick: () => collectionsStore.moveItem(selected.id, key, index - 1),
+                                                        "aria-label": `Move ${item.title} up`,
+                                                    },
+                                                    "↑",
+                                                ),
+                                                h(
+                                                    "button",
+                                                    {
+                                                        type: "button",
+                                                        className: "preset-btn",
+                                                        disabled: index === selected.items.length - 1,
+                                                        onClick: () => collectionsStore.moveItem(selected.id, key, index + 1),
+                                                        "aria-label": `Move ${item.title} down`,
+                                                    },
+                                                    "↓",
+                                                ),
+                                                h(
+                                                    "button",
+                                                    {
+                                                        type: "button",
+                                                        className: "preset-btn history-delete-btn",
+                                                        onClick: () => collectionsStore.removeItem(selected.id, key),
+                                                    },
+                                                    "Remove",
                                                 ),
                                             ),
                                         ),
-                                    ),
-                                ),
+                                    );
+                                }),
                             ),
                         ),
-                    h(ToastNotification, {
-                        isVisible: toastVisible,
-                        message: toastMessage,
-                        onClose: hideToast,
-                    }),
+                    ),
                 ),
             );
         };
@@ -2452,6 +8215,37 @@ const generateArt = async () => {
             // Performance monitoring for the entire app
             usePerformanceMonitor();
 
+            // Hand-off from the content sections to the DigitalArt generators
+            const [studioRequest, setStudioRequest] = useState(null);
+            const openStudio = useCallback((request) => setStudioRequest({ ...request, requestedAt: Date.now() }), []);
+            const createInStyle = useCallback((stylePresetId) => openStudio({ tab: "art", stylePresetId }), [openStudio]);
+            const designInEra = useCallback((fashionEraId) => openStudio({ tab: "fashion", fashionEraId }), [openStudio]);
+
+            // Scroll to the routed section on load, once the content above it has arrived,
+            // and whenever back/forward crosses into another section
+            useEffect(() => {
+                let active = true;
+                Promise.allSettled(["timeline", "artworks", "fashionEras"].map(loadContent)).then(() => {
+                    if (active) window.requestAnimationFrame(() => scrollToRouteSection(currentRoute));
+                });
+                const unsubscribe = subscribeRoute((route, { previous, source }) => {
+                    if (source === "history" && route.section !== previous.section) scrollToRouteSection(route);
+                });
+                return () => {
+                    active = false;
+                    unsubscribe();
+                };
+            }, []);
+
+            // Content editing is a local, per-browser switch rather than an account feature
+            const [editorMode, setEditorMode] = useState(() => readStoredJson(EDITOR_MODE_KEY, false));
+            const toggleEditorMode = useCallback(() => {
+                setEditorMode((enabled) => {
+                    writeStoredJson(EDITOR_MODE_KEY, !enabled);
+                    return !enabled;
+                });
+            }, []);
+
             return h(
                 "div",
                 {
@@ -2469,10 +8263,13 @@ const generateArt = async () => {
                         "aria-label": "Main content"
                     },
                     h(HeroSection, null),
-                    h(InteractiveTimeline, null),
+                    h(InteractiveTimeline, { onCreateInStyle: createInStyle }),
                     h(ArtGallery, null),
-                    h(FashionEvolution, null),
-                    h(DigitalArt, null),
+                    h(FashionEvolution, { onDesignInEra: designInEra }),
+                    h(DigitalArt, { studioRequest }),
+                    h(CollectionsSection),
+                    h(BulkExportBar),
+                    editorMode && h(ContentEditor, { onClose: toggleEditorMode }),
                 ),
                 h(
                     "footer",
@@ -2480,7 +8277,17 @@ const generateArt = async () => {
                     h(
                         "div",
                         { style: { textAlign: "center", padding: "1rem", color: "#888" } },
-                        "© 2025 PictaLens. All rights reserved."
+                        "© 2025 PictaLens. All rights reserved.",
+                        h(
+                            "button",
+                            {
+                                type: "button",
+                                className: "footer-editor-toggle",
+                                onClick: toggleEditorMode,
+                                "aria-pressed": editorMode,
+                            },
+                            editorMode ? "Close content editor" : "Edit content",
+                        ),
                     )
                 )
             );
@@ -0,0 +1,144 @@
+// Inpainting through the stand-in provider, end to end: request, masked result and history version.
+// app.js is a browser script, so it is loaded into a bare VM context with just enough of the page for its
+// top-level code; nothing is rendered. Run with `node --test tests/`.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { getEventListeners } = require("node:events");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const loadApp = () => {
+    const noop = () => {};
+    const context = {
+        React: { useState: noop, useEffect: noop, useRef: noop, useMemo: noop, useCallback: noop, createElement: noop },
+        ReactDOM: { createRoot: () => ({ render: noop }) },
+        document: { getElementById: () => null },
+        location: { hash: "" },
+        localStorage: { getItem: () => null, setItem: noop, removeItem: noop },
+        addEventListener: noop,
+        console,
+        setTimeout,
+        clearTimeout,
+        atob,
+        crypto,
+        Blob,
+        URL,
+        URLSearchParams,
+        DOMException,
+    };
+    context.window = context;
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "app.js"), "utf8"), context, { filename: "app.js" });
+    // Top-level declarations of a classic script are visible to later scripts in the same context
+    return vm.runInContext(
+        "({ createStandInProvider, createGenerationHistory, createGenerationEntry, STAND_IN_COLOR })",
+        context,
+    );
+};
+
+const { createStandInProvider, createGenerationHistory, createGenerationEntry, STAND_IN_COLOR } = loadApp();
+
+// Stands in for the canvas codec: pixels travel as JSON so the test can build and read them directly
+const jsonCodec = {
+    decode: async (blob) => {
+        const { width, height, data } = JSON.parse(await blob.text());
+        return { width, height, data: Uint8ClampedArray.from(data) };
+    },
+    encode: async ({ width, height, data }) =>
+        new Blob([JSON.stringify({ width, height, data: Array.from(data) })], { type: "image/png" }),
+};
+
+// 3×2 image with a different colour per pixel, and a mask with pixels 1 and 4 painted white
+const image = {
+    width: 3,
+    height: 2,
+    data: Uint8ClampedArray.from([10, 20, 30, 255, 40, 50, 60, 255, 70, 80, 90, 255, 100, 110, 120, 255, 130, 140, 150, 255, 160, 170, 180, 255]),
+};
+const maskedPixels = [1, 4];
+const mask = {
+    width: 3,
+    height: 2,
+    data: Uint8ClampedArray.from(
+        Array.from({ length: 6 }, (_, pixel) => (maskedPixels.includes(pixel) ? [255, 255, 255, 255] : [0, 0, 0, 255])).flat(),
+    ),
+};
+
+const params = { prompt: "a red hat", width: 3, height: 2, model: "fixed", seed: 42 };
+
+const createMemoryBackend = () => {
+    const stored = new Map();
+    return {
+        name: "memory",
+        getAll: async () => [...stored.values()],
+        put: async (record) => {
+            stored.set(record.id, record);
+        },
+        delete: async (id) => {
+            stored.delete(id);
+        },
+    };
+};
+
+const inpaint = async (provider, options) => {
+    const request = provider.buildRequest({
+        ...params,
+        inpaint: { image: await jsonCodec.encode(image), mask: await jsonCodec.encode(mask) },
+    });
+    return provider.fetchResult(request, options);
+};
+
+test("the stand-in repaints only the masked pixels", async () => {
+    const provider = createStandInProvider({ latencyMs: 0, codec: jsonCodec });
+    const result = await inpaint(provider);
+    const output = await jsonCodec.decode(result.blob);
+
+    assert.equal(output.width, image.width);
+    assert.equal(output.height, image.height);
+    for (let pixel = 0; pixel < 6; pixel++) {
+        const actual = Array.from(output.data.slice(pixel * 4, pixel * 4 + 4));
+        const original = Array.from(image.data.slice(pixel * 4, pixel * 4 + 4));
+        const expected = maskedPixels.includes(pixel) ? [...STAND_IN_COLOR, original[3]] : original;
+        assert.deepEqual(actual, expected, `pixel ${pixel}`);
+    }
+});
+
+test("the stand-in rejects an inpaint request without a mask", async () => {
+    const provider = createStandInProvider({ latencyMs: 0, codec: jsonCodec });
+    const request = provider.buildRequest({ ...params, inpaint: { image: await jsonCodec.encode(image) } });
+    await assert.rejects(provider.fetchResult(request), { name: "ProviderError", code: "invalid-request" });
+});
+
+test("an inpainted result is saved as a new version of the record it came from", async () => {
+    const provider = createStandInProvider({ latencyMs: 0, codec: jsonCodec });
+    const history = createGenerationHistory({ backendPromise: Promise.resolve(createMemoryBackend()) });
+
+    const original = await provider.fetchResult(provider.buildRequest(params));
+    const base = await history.add(createGenerationEntry("art", provider.id, params, original));
+    const result = await inpaint(provider);
+    const version = await history.add(
+        createGenerationEntry("art", provider.id, params, result, { parentId: base.id, edit: "inpaint" }),
+    );
+
+    const records = history.getAll();
+    assert.equal(records.length, 2);
+    assert.equal(records[0].id, version.id);
+    assert.equal(records[0].parentId, base.id);
+    assert.equal(records[0].edit, "inpaint");
+    assert.equal(records[0].imageBlob, result.blob);
+    assert.equal(records[1].id, base.id);
+    assert.equal(records[1].parentId, undefined);
+});
+
+test("the stand-in leaves no abort listener behind and still honours aborts", async () => {
+    const provider = createStandInProvider({ latencyMs: 0, codec: jsonCodec });
+    const controller = new AbortController();
+    await inpaint(provider, { signal: controller.signal });
+    await inpaint(provider, { signal: controller.signal });
+    assert.equal(getEventListeners(controller.signal, "abort").length, 0);
+
+    const slow = createStandInProvider({ latencyMs: 1000, codec: jsonCodec });
+    const pending = slow.fetchResult(slow.buildRequest(params), { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(pending, { name: "AbortError" });
+});